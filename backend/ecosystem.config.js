@@ -3,7 +3,7 @@ module.exports = {
     {
       name: 'ghlwa-connector',
       script: 'src/index.js',
-      instances: 1, // Single instance to maintain WhatsApp session state
+      instances: 1, // More instances need Redis plus a distinct PORT/INSTANCE_URL each (see SETUP.md)
       exec_mode: 'fork',
       autorestart: true,
       watch: false,
@@ -9,7 +9,12 @@ const logger = require('./utils/logger');
 const routes = require('./routes');
 const { initializeRedis } = require('./config/redis');
 const whatsappService = require('./services/whatsapp');
+const messageQueue = require('./services/messageQueue');
+const authState = require('./services/authState');
+const sessionOwnership = require('./services/sessionOwnership');
+const historyBackfill = require('./services/historyBackfill');
 const trialCronService = require('./services/trialCron');
+const connectionWatchdog = require('./services/connectionWatchdog');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -109,7 +114,8 @@ app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), async
 });
 
 // Body parsing (after Stripe webhook)
-app.use(express.json());
+// Bulk number validation posts up to 5000 numbers, past the 100kb default
+app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve uploaded files
@@ -170,14 +176,34 @@ async function startServer() {
     app.listen(PORT, async () => {
       logger.info(`Server running on port ${PORT}`);
 
+      // One-time import of file-based sessions (SESSION_PATH) into the database
+      await authState.migrateSessionDirectories();
+
+      // Session leases - started before the restore so leases taken during it keep being renewed
+      await sessionOwnership.start({
+        onLost: (subAccountId, options) => whatsappService.dropSession(subAccountId, options),
+        onOrphaned: (subAccountId) => whatsappService.connect(subAccountId)
+          .catch(err => logger.error(`Failover connect failed for ${subAccountId}:`, err.message)),
+        onWake: (subAccountId) => messageQueue.startProcessing(subAccountId)
+      });
+
       // Restore WhatsApp sessions after server starts
       logger.info('Restoring WhatsApp sessions...');
       await whatsappService.restoreSessions();
       logger.info('WhatsApp session restoration complete');
 
+      // Resume outbound queues that still had pending messages before the restart
+      await messageQueue.resumePending();
+
+      // Continue pushing imported chat history to GHL where it stopped
+      await historyBackfill.resumePending();
+
       // Start trial cron service (Option C: checks expired trials + sends reminders)
       trialCronService.start();
       logger.info('Trial cron service started');
+
+      // Restart zombie sockets and correct statuses that disagree with the running sockets
+      connectionWatchdog.start();
     });
 
   } catch (error) {
@@ -186,6 +212,21 @@ async function startServer() {
   }
 }
 
+// Hand sessions back on shutdown so other instances take them over without waiting for leases to expire
+async function shutdown(signal) {
+  logger.info(`${signal} received, releasing WhatsApp sessions...`);
+  try {
+    connectionWatchdog.stop();
+    await sessionOwnership.stop();
+  } catch (error) {
+    logger.error('Failed to release sessions on shutdown:', error);
+  }
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 startServer();
 
 module.exports = app;
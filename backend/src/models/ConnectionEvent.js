@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // WhatsApp connection history per sub-account (timeline and uptime)
+  const ConnectionEvent = sequelize.define('ConnectionEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    subAccountId: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Note: Foreign key relationship defined in models/index.js associations
+    },
+    type: {
+      type: DataTypes.ENUM(
+        'qr_issued',
+        'pairing_code_issued',
+        'connected',
+        'disconnected',
+        'reconnect_scheduled',
+        'reconnect_stopped',
+        'logged_out',
+        'phone_conflict',
+        'watchdog_restart',
+        'status_repaired'
+      ),
+      allowNull: false
+    },
+    // Classified disconnect reason, e.g. 'connection_lost', 'connection_replaced', 'max_reconnect_attempts'
+    reason: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    // Baileys/Boom status code of the close, when there was one
+    statusCode: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Event-specific details, e.g. { attempt, delayMs } for reconnect_scheduled
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+  }, {
+    tableName: 'connection_events',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['subAccountId', 'createdAt'] }
+    ]
+  });
+
+  return ConnectionEvent;
+};
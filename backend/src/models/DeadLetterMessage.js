@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const DeadLetterMessage = sequelize.define('DeadLetterMessage', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    subAccountId: {
+      type: DataTypes.UUID,
+      allowNull: false
+      // Note: Foreign key relationship defined in models/index.js associations
+    },
+    // Where the send came from: GHL outbound webhook or our send API
+    origin: {
+      type: DataTypes.ENUM('ghl_webhook', 'api'),
+      defaultValue: 'ghl_webhook'
+    },
+    // Queue lane the message was sent from, restored on retry
+    priority: {
+      type: DataTypes.ENUM('high', 'normal', 'bulk'),
+      defaultValue: 'normal'
+    },
+    toNumber: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    messageType: {
+      type: DataTypes.STRING,
+      defaultValue: 'text'
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    mediaUrl: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    fileName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Structured content for location/contact/poll/voice-note sends
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // GHL message ID (GHL-originated sends) - used to report status on retry
+    ghlMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // [{ attempt, error, at }]
+    attemptHistory: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    queuedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Times this message was manually retried from the dead-letter store
+    retryCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'dead_letter_messages',
+    timestamps: true,
+    indexes: [
+      { fields: ['subAccountId'] },
+      { fields: ['createdAt'] }
+    ]
+  });
+
+  return DeadLetterMessage;
+};
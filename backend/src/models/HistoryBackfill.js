@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Progress of importing a sub-account's WhatsApp chat history (one row per sub-account)
+  const HistoryBackfill = sequelize.define('HistoryBackfill', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    subAccountId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true
+      // Note: Foreign key relationship defined in models/index.js associations
+    },
+    // importing - storing history batches from WhatsApp
+    // syncing - pushing imported messages inside the GHL window to GHL
+    // failed - GHL push stopped (see lastError), resumable
+    status: {
+      type: DataTypes.ENUM('importing', 'syncing', 'completed', 'failed'),
+      defaultValue: 'importing'
+    },
+    messagesImported: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    messagesSynced: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    // Not pushed to GHL (contact could not be resolved in GHL)
+    messagesSkipped: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    // Oldest and newest message timestamps imported
+    oldestMessageAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    newestMessageAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'history_backfills',
+    timestamps: true
+  });
+
+  return HistoryBackfill;
+};
@@ -31,8 +31,30 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: false
     },
+    // Group chats: the group JID (xxx@g.us) and the participant who sent the message
+    groupJid: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    participant: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    participantName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Quoted replies: WhatsApp ID and a short preview of the message being replied to
+    quotedMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    quotedSnippet: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
     messageType: {
-      type: DataTypes.ENUM('text', 'image', 'document', 'audio', 'video'),
+      type: DataTypes.ENUM('text', 'image', 'document', 'audio', 'video', 'sticker', 'location', 'contact', 'reaction', 'poll', 'call'),
       defaultValue: 'text'
     },
     content: {
@@ -43,6 +65,15 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: true
     },
+    mediaMimeType: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Size of the stored media file in bytes
+    mediaSize: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
     status: {
       type: DataTypes.ENUM('pending', 'sent', 'delivered', 'read', 'failed'),
       defaultValue: 'pending'
@@ -51,9 +82,25 @@ module.exports = (sequelize) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    // Set when the message text was edited / the message was deleted for everyone
+    // (previous versions are kept in metadata.editHistory)
+    editedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     metadata: {
       type: DataTypes.JSON,
       allowNull: true
+    },
+    // Messages imported from chat history: 'pending' until pushed to GHL ('synced'/'skipped');
+    // null for live messages and history outside the GHL window
+    historySyncStatus: {
+      type: DataTypes.ENUM('pending', 'synced', 'skipped'),
+      allowNull: true
     }
   }, {
     tableName: 'messages',
@@ -62,7 +109,9 @@ module.exports = (sequelize) => {
       { fields: ['subAccountId'] },
       { fields: ['fromNumber'] },
       { fields: ['toNumber'] },
-      { fields: ['createdAt'] }
+      { fields: ['groupJid'] },
+      { fields: ['createdAt'] },
+      { fields: ['subAccountId', 'historySyncStatus'] }
     ]
   });
 
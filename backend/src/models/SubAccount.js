@@ -29,9 +29,15 @@ module.exports = (sequelize) => {
       unique: true
     },
     status: {
-      type: DataTypes.ENUM('disconnected', 'connecting', 'connected', 'qr_ready'),
+      // 'error' - reconnecting stopped (see lastError), the customer has to reconnect
+      type: DataTypes.ENUM('disconnected', 'connecting', 'connected', 'qr_ready', 'error'),
       defaultValue: 'disconnected'
     },
+    // Why reconnecting stopped, e.g. 'connection_replaced', 'forbidden', 'max_reconnect_attempts', 'session_undecryptable'
+    lastError: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
     sessionData: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -86,6 +92,48 @@ module.exports = (sequelize) => {
     ghlConnectedAt: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    // Also sync inbound group messages into the sender's GHL conversation
+    syncGroupsToGhl: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    // Import chat history WhatsApp sends when the number is linked (opt-in)
+    // historyBackfillGhlDays: also push the last N days of it into GHL conversations (null = store only)
+    historyBackfill: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    historyBackfillGhlDays: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Incoming WhatsApp calls: reject them automatically, optionally replying with callRejectMessage
+    rejectCalls: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    callRejectMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Outbound sending limits - the queue waits a random delay within
+    // [sendDelayMinMs, sendDelayMaxMs] between messages; null cap = unlimited
+    sendDelayMinMs: {
+      type: DataTypes.INTEGER,
+      defaultValue: 5000
+    },
+    sendDelayMaxMs: {
+      type: DataTypes.INTEGER,
+      defaultValue: 5000
+    },
+    hourlySendCap: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    dailySendCap: {
+      type: DataTypes.INTEGER,
+      allowNull: true
     }
   }, {
     tableName: 'sub_accounts',
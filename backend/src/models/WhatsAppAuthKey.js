@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Baileys signal keys (pre-keys, sessions, sender keys, app state keys) for a sub-account
+  // The credentials themselves live in SubAccount.sessionData
+  const WhatsAppAuthKey = sequelize.define('WhatsAppAuthKey', {
+    subAccountId: {
+      type: DataTypes.UUID,
+      primaryKey: true
+      // Note: Foreign key relationship defined in models/index.js associations
+    },
+    // Key category, e.g. 'pre-key', 'session', 'sender-key', 'app-state-sync-key'
+    type: {
+      type: DataTypes.STRING(64),
+      primaryKey: true
+    },
+    keyId: {
+      type: DataTypes.STRING(255),
+      primaryKey: true
+    },
+    // Encrypted JSON (see utils/encryption.js)
+    value: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    }
+  }, {
+    tableName: 'whatsapp_auth_keys',
+    timestamps: true
+  });
+
+  return WhatsAppAuthKey;
+};
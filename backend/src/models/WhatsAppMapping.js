@@ -27,6 +27,40 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: true
     },
+    // Profile picture copied to our media store (WhatsApp's own URLs expire)
+    // profilePictureSource is WhatsApp's picture path, to tell when the picture changed
+    profilePictureUrl: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    profilePictureSource: {
+      type: DataTypes.STRING(512),
+      allowNull: true
+    },
+    // WhatsApp Business profile: { description, category, email, website, address }, null for personal accounts
+    businessProfile: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    profileFetchedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Result of the last WhatsApp registration check (bulk number validation), reused for a week
+    onWhatsApp: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true
+    },
+    whatsappCheckedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Set while the contact's presence (online, typing, last seen) is subscribed to
+    // Subscriptions are renewed whenever the number reconnects
+    presenceSubscribedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     // Last activity timestamp
     lastActivityAt: {
       type: DataTypes.DATE,
@@ -23,6 +23,10 @@ const SubAccount = require('./SubAccount')(sequelize);
 const Message = require('./Message')(sequelize);
 const Webhook = require('./Webhook')(sequelize);
 const WhatsAppMapping = require('./WhatsAppMapping')(sequelize);
+const DeadLetterMessage = require('./DeadLetterMessage')(sequelize);
+const WhatsAppAuthKey = require('./WhatsAppAuthKey')(sequelize);
+const ConnectionEvent = require('./ConnectionEvent')(sequelize);
+const HistoryBackfill = require('./HistoryBackfill')(sequelize);
 
 // Define associations
 Customer.hasMany(SubAccount, { foreignKey: 'customerId', as: 'subAccounts' });
@@ -37,6 +41,18 @@ Webhook.belongsTo(SubAccount, { foreignKey: 'subAccountId', as: 'subAccount' });
 SubAccount.hasMany(WhatsAppMapping, { foreignKey: 'subAccountId', as: 'whatsappMappings', constraints: false });
 WhatsAppMapping.belongsTo(SubAccount, { foreignKey: 'subAccountId', as: 'subAccount', constraints: false });
 
+SubAccount.hasMany(DeadLetterMessage, { foreignKey: 'subAccountId', as: 'deadLetters', constraints: false });
+DeadLetterMessage.belongsTo(SubAccount, { foreignKey: 'subAccountId', as: 'subAccount', constraints: false });
+
+SubAccount.hasMany(WhatsAppAuthKey, { foreignKey: 'subAccountId', as: 'authKeys', constraints: false });
+WhatsAppAuthKey.belongsTo(SubAccount, { foreignKey: 'subAccountId', as: 'subAccount', constraints: false });
+
+SubAccount.hasMany(ConnectionEvent, { foreignKey: 'subAccountId', as: 'connectionEvents', constraints: false });
+ConnectionEvent.belongsTo(SubAccount, { foreignKey: 'subAccountId', as: 'subAccount', constraints: false });
+
+SubAccount.hasOne(HistoryBackfill, { foreignKey: 'subAccountId', as: 'historyBackfill', constraints: false });
+HistoryBackfill.belongsTo(SubAccount, { foreignKey: 'subAccountId', as: 'subAccount', constraints: false });
+
 module.exports = {
   sequelize,
   Sequelize,
@@ -44,5 +60,9 @@ module.exports = {
   SubAccount,
   Message,
   Webhook,
-  WhatsAppMapping
+  WhatsAppMapping,
+  DeadLetterMessage,
+  WhatsAppAuthKey,
+  ConnectionEvent,
+  HistoryBackfill
 };
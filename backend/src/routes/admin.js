@@ -1,11 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { Customer, SubAccount, Message } = require('../models');
+const { Customer, SubAccount, Message, DeadLetterMessage } = require('../models');
 const { authenticateJWT, requireAdmin } = require('../middleware/auth');
 const whatsappService = require('../services/whatsapp');
+const messageQueue = require('../services/messageQueue');
+const connectionWatchdog = require('../services/connectionWatchdog');
 const ghlService = require('../services/ghl');
 const emailService = require('../services/email');
 const logger = require('../utils/logger');
+const { getCacheStats } = require('../utils/ttlCache');
 
 // All admin routes require authentication and admin role
 router.use(authenticateJWT);
@@ -561,6 +564,166 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Progress of the boot-time WhatsApp session restore on the instance that answers
+router.get('/restore-status', async (req, res) => {
+  res.json({ restore: whatsappService.getRestoreProgress() });
+});
+
+// In-memory cache sizes and process memory of the instance that answers
+router.get('/memory', async (req, res) => {
+  res.json(getCacheStats());
+});
+
+// Result of the connection watchdog's most recent check on this instance
+router.get('/watchdog', async (req, res) => {
+  res.json({ lastRun: connectionWatchdog.getLastRun() });
+});
+
+// Run the connection watchdog now instead of waiting for the next interval
+router.post('/watchdog/run', async (req, res) => {
+  try {
+    const run = await connectionWatchdog.check();
+    res.json({ lastRun: run || connectionWatchdog.getLastRun() });
+  } catch (error) {
+    logger.error('Admin run watchdog error:', error);
+    res.status(500).json({ error: 'Failed to run connection watchdog' });
+  }
+});
+
+// List failed sends (dead-letter store) across all sub-accounts
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, subAccountId, origin } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (subAccountId) where.subAccountId = subAccountId;
+    if (origin) where.origin = origin;
+
+    const { count, rows: deadLetters } = await DeadLetterMessage.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']],
+      include: [{
+        model: SubAccount,
+        as: 'subAccount',
+        attributes: ['id', 'name', 'phoneNumber', 'customerId']
+      }]
+    });
+
+    res.json({
+      deadLetters,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Admin get dead letters error:', error);
+    res.status(500).json({ error: 'Failed to get failed messages' });
+  }
+});
+
+// Bulk retry failed sends (by ids, or everything for a sub-account)
+router.post('/dead-letters/retry', async (req, res) => {
+  try {
+    const { ids, subAccountId } = req.body;
+    if (ids !== undefined && !messageQueue.isValidIdList(ids)) {
+      return res.status(400).json({ error: 'ids must be a non-empty array of failed message ids' });
+    }
+    if (subAccountId !== undefined && !messageQueue.isValidId(subAccountId)) {
+      return res.status(400).json({ error: 'Invalid subAccountId' });
+    }
+
+    const where = {};
+    if (ids) where.id = ids;
+    if (subAccountId) where.subAccountId = subAccountId;
+
+    if (!where.id && !where.subAccountId) {
+      return res.status(400).json({ error: 'ids array or subAccountId is required' });
+    }
+
+    const result = await messageQueue.retryDeadLetters(where);
+
+    logger.info('Admin retried dead-letter messages', result);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Admin retry dead letters error:', error);
+    res.status(500).json({ error: 'Failed to retry messages' });
+  }
+});
+
+// Retry a single failed send
+router.post('/dead-letters/:id/retry', async (req, res) => {
+  try {
+    if (!messageQueue.isValidId(req.params.id)) {
+      return res.status(404).json({ error: 'Failed message not found' });
+    }
+
+    const result = await messageQueue.retryDeadLetters({ id: req.params.id });
+    if (result.retried === 0 && result.failed === 0) {
+      return res.status(404).json({ error: 'Failed message not found' });
+    }
+
+    res.json({ success: result.retried === 1, ...result });
+  } catch (error) {
+    logger.error('Admin retry dead letter error:', error);
+    res.status(500).json({ error: 'Failed to retry message' });
+  }
+});
+
+// Bulk discard failed sends (by ids, or everything for a sub-account)
+router.post('/dead-letters/discard', async (req, res) => {
+  try {
+    const { ids, subAccountId } = req.body;
+    if (ids !== undefined && !messageQueue.isValidIdList(ids)) {
+      return res.status(400).json({ error: 'ids must be a non-empty array of failed message ids' });
+    }
+    if (subAccountId !== undefined && !messageQueue.isValidId(subAccountId)) {
+      return res.status(400).json({ error: 'Invalid subAccountId' });
+    }
+
+    const where = {};
+    if (ids) where.id = ids;
+    if (subAccountId) where.subAccountId = subAccountId;
+
+    if (!where.id && !where.subAccountId) {
+      return res.status(400).json({ error: 'ids array or subAccountId is required' });
+    }
+
+    const discarded = await messageQueue.discardDeadLetters(where);
+
+    logger.info(`Admin discarded ${discarded} dead-letter messages`);
+
+    res.json({ success: true, discarded });
+  } catch (error) {
+    logger.error('Admin discard dead letters error:', error);
+    res.status(500).json({ error: 'Failed to discard messages' });
+  }
+});
+
+// Discard a single failed send
+router.delete('/dead-letters/:id', async (req, res) => {
+  try {
+    if (!messageQueue.isValidId(req.params.id)) {
+      return res.status(404).json({ error: 'Failed message not found' });
+    }
+
+    const discarded = await messageQueue.discardDeadLetters({ id: req.params.id });
+    if (discarded === 0) {
+      return res.status(404).json({ error: 'Failed message not found' });
+    }
+
+    res.json({ success: true, discarded });
+  } catch (error) {
+    logger.error('Admin discard dead letter error:', error);
+    res.status(500).json({ error: 'Failed to discard message' });
+  }
+});
+
 // Bulk uninstall GHL from all sub-accounts (calls GHL API + clears data)
 router.post('/ghl/bulk-uninstall', async (req, res) => {
   try {
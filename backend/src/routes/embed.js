@@ -3,6 +3,7 @@ const router = express.Router();
 const crypto = require('crypto');
 const { SubAccount, Customer } = require('../models');
 const whatsappService = require('../services/whatsapp');
+const sessionOwnership = require('../services/sessionOwnership');
 const logger = require('../utils/logger');
 
 // Store embed tokens (token -> subAccountId mapping)
@@ -35,6 +36,10 @@ function verifyEmbedToken(token) {
   return null;
 }
 
+// QR/status/connect requests run on the instance that owns the session (tokens are deterministic,
+// so the owner can verify them too)
+const routeToOwner = sessionOwnership.routeToOwner(req => verifyTokenWithFallback(req.params.token));
+
 // Set token mapping (called from other routes)
 function setToken(subAccountId, token) {
   tokenCache.set(token, subAccountId);
@@ -357,7 +362,7 @@ router.get('/url/:subAccountId', async (req, res) => {
 
 // QR Code embed page (public, token-authenticated)
 // Using .html extension to prevent nginx from overriding Content-Type
-router.get('/qr/:token.html', async (req, res) => {
+router.get('/qr/:token.html', routeToOwner, async (req, res) => {
   // Prevent caching - this page has dynamic QR codes
   res.set({
     'Content-Type': 'text/html; charset=utf-8',
@@ -430,7 +435,7 @@ async function verifyTokenWithFallback(token) {
 }
 
 // Serve QR code as actual image (bypasses CSP data: URI restrictions)
-router.get('/qr-image/:token', async (req, res) => {
+router.get('/qr-image/:token', routeToOwner, async (req, res) => {
   try {
     const { token } = req.params;
 
@@ -463,7 +468,7 @@ router.get('/qr-image/:token', async (req, res) => {
 
 // API endpoint to get status (for AJAX refresh)
 // Includes locationId validation for GHL embed security
-router.get('/status/:token', async (req, res) => {
+router.get('/status/:token', routeToOwner, async (req, res) => {
   try {
     const { token } = req.params;
     const { locationId } = req.query; // Optional: verify locationId matches
@@ -546,7 +551,7 @@ router.get('/status/:token', async (req, res) => {
 
 // Connect WhatsApp (for embed page)
 // SECURITY: Validates that sub-account has a GHL location ID when connecting via embed
-router.post('/connect/:token', async (req, res) => {
+router.post('/connect/:token', routeToOwner, async (req, res) => {
   try {
     const { token } = req.params;
     const { locationId } = req.body; // Optional: verify locationId matches
@@ -598,7 +603,24 @@ router.post('/connect/:token', async (req, res) => {
       return res.status(402).json({ error: 'Payment required to connect WhatsApp. Please subscribe to activate this sub-account.' });
     }
 
-    const result = await whatsappService.connect(subAccountId);
+    // Optional: link with a pairing code for this number instead of a QR code
+    let pairingNumber = null;
+    if (req.body.phoneNumber) {
+      pairingNumber = whatsappService.normalizePairingNumber(req.body.phoneNumber);
+      if (!pairingNumber) {
+        return res.status(400).json({ error: 'Enter the full phone number with country code, e.g. 447700900123' });
+      }
+    }
+
+    const result = await whatsappService.connect(subAccountId, { phoneNumber: pairingNumber });
+
+    if (pairingNumber && result.status === 'connecting') {
+      const pairing = await whatsappService.waitForPairingCode(subAccountId);
+      if (pairing) {
+        return res.json({ status: 'pairing_code_ready', pairingCode: pairing.code, phoneNumber: pairing.phoneNumber });
+      }
+    }
+
     res.json(result);
   } catch (error) {
     logger.error('Embed connect error:', error);
@@ -608,7 +630,7 @@ router.post('/connect/:token', async (req, res) => {
 
 // Disconnect WhatsApp (for embed page)
 // SECURITY: Validates locationId if provided
-router.post('/disconnect/:token', async (req, res) => {
+router.post('/disconnect/:token', routeToOwner, async (req, res) => {
   try {
     const { token } = req.params;
     const { locationId } = req.body; // Optional: verify locationId matches
@@ -746,6 +768,7 @@ router.post('/ghl-uninstall/:token', async (req, res) => {
 function renderQRPage(subAccount, status, token) {
   const isConnected = status.status === 'connected';
   const hasQR = status.hasQR && status.qrCode;
+  const hasPairingCode = !!status.pairingCode;
   const isConnecting = status.status === 'connecting' || status.status === 'qr_ready';
 
   return `
@@ -930,6 +953,30 @@ function renderQRPage(subAccount, status, token) {
       margin-top: 16px;
     }
     .actions .btn { flex: 1; }
+    .divider {
+      color: #9ca3af;
+      font-size: 12px;
+      margin: 20px 0 12px;
+    }
+    .phone-input {
+      width: 100%;
+      padding: 12px;
+      border: 1px solid #d1d5db;
+      border-radius: 8px;
+      font-size: 16px;
+      margin-bottom: 12px;
+    }
+    .pairing-code {
+      font-family: monospace;
+      font-size: 32px;
+      font-weight: 700;
+      letter-spacing: 4px;
+      color: #0f766e;
+      background: #f0fdfa;
+      border-radius: 12px;
+      padding: 20px;
+      margin-bottom: 12px;
+    }
   </style>
 </head>
 <body>
@@ -946,8 +993,9 @@ function renderQRPage(subAccount, status, token) {
     <div id="content">
       ${isConnected ? renderConnectedState(status) : ''}
       ${hasQR ? renderQRState(status) : ''}
-      ${!isConnected && !hasQR && !isConnecting ? renderDisconnectedState() : ''}
-      ${isConnecting && !hasQR ? renderConnectingState() : ''}
+      ${hasPairingCode ? renderPairingCodeState(status) : ''}
+      ${!isConnected && !hasQR && !hasPairingCode && !isConnecting ? renderDisconnectedState(status) : ''}
+      ${isConnecting && !hasQR && !hasPairingCode ? renderConnectingState() : ''}
     </div>
   </div>
 
@@ -979,6 +1027,40 @@ function renderQRPage(subAccount, status, token) {
       }
     }
 
+    // Link by phone number: WhatsApp shows a prompt for the pairing code on that phone
+    async function connectWithPhone() {
+      const phoneNumber = document.getElementById('pairingPhone').value.trim();
+      if (!phoneNumber) {
+        alert('Enter your WhatsApp number with country code');
+        return;
+      }
+
+      const btn = document.getElementById('pairingBtn');
+      btn.disabled = true;
+      btn.innerHTML = '<div class="spinner"></div> Getting code...';
+
+      try {
+        const res = await fetch(apiBase + '/api/embed/connect/' + token, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ phoneNumber })
+        });
+        const data = await res.json();
+
+        if (res.ok) {
+          pollStatus();
+        } else {
+          alert(data.error || 'Failed to get pairing code');
+          btn.disabled = false;
+          btn.innerHTML = 'Get pairing code';
+        }
+      } catch (err) {
+        alert('Connection failed');
+        btn.disabled = false;
+        btn.innerHTML = 'Get pairing code';
+      }
+    }
+
     async function disconnect() {
       if (!confirm('Are you sure you want to disconnect WhatsApp?')) return;
 
@@ -1001,6 +1083,16 @@ function renderQRPage(subAccount, status, token) {
 
         if (data.status === 'connected') {
           location.reload();
+        } else if (data.pairingCode) {
+          document.getElementById('content').innerHTML = \`
+            <div class="pairing-code">\${data.pairingCode}</div>
+            <p class="qr-instructions">
+              On your phone open WhatsApp<br>
+              Go to Settings > Linked Devices > Link a Device<br>
+              Tap "Link with phone number instead" and enter this code
+            </p>
+          \`;
+          setTimeout(pollStatus, 3000);
         } else if (data.hasQR && data.qrCode) {
           document.getElementById('content').innerHTML = \`
             <div class="qr-container">
@@ -1027,7 +1119,7 @@ function renderQRPage(subAccount, status, token) {
     }
 
     // Auto-refresh for QR code page
-    ${hasQR ? 'setTimeout(pollStatus, 3000);' : ''}
+    ${hasQR || hasPairingCode ? 'setTimeout(pollStatus, 3000);' : ''}
   </script>
 </body>
 </html>
@@ -1078,20 +1170,44 @@ function renderQRState(status) {
   `;
 }
 
-function renderDisconnectedState() {
+function renderDisconnectedState(status) {
   return `
     <span class="status-badge status-disconnected">
       <span class="status-dot"></span>
-      Disconnected
+      ${status.status === 'error' ? 'Connection Error' : 'Disconnected'}
     </span>
+    ${status.errorMessage ? `<p style="color: #991b1b; margin-bottom: 16px;">${status.errorMessage}</p>` : ''}
     <p style="color: #6b7280; margin-bottom: 24px;">
       Connect your WhatsApp to start sending messages through GoHighLevel.
     </p>
     <button id="connectBtn" class="btn btn-primary" onclick="connect()">
       Connect WhatsApp
     </button>
+    <p class="divider">or, on the phone that runs WhatsApp</p>
+    <input id="pairingPhone" class="phone-input" type="tel" placeholder="Phone number with country code, e.g. 447700900123" />
+    <button id="pairingBtn" class="btn btn-secondary" onclick="connectWithPhone()">
+      Get pairing code
+    </button>
+    <div class="info-box">
+      <p><strong>How it works:</strong> After clicking connect, a QR code will appear. Scan it with your WhatsApp to link your account. Can't scan? Enter your number to get a code to type into WhatsApp instead.</p>
+    </div>
+  `;
+}
+
+function renderPairingCodeState(status) {
+  return `
+    <span class="status-badge status-connecting">
+      <span class="status-dot"></span>
+      Waiting for code
+    </span>
+    <div class="pairing-code">${status.pairingCode}</div>
+    <p class="qr-instructions">
+      On your phone open WhatsApp<br>
+      Go to <strong>Settings > Linked Devices > Link a Device</strong><br>
+      Tap <strong>Link with phone number instead</strong> and enter this code
+    </p>
     <div class="info-box">
-      <p><strong>How it works:</strong> After clicking connect, a QR code will appear. Scan it with your WhatsApp to link your account.</p>
+      <p><strong>Note:</strong> The code is for +${status.pairingPhoneNumber} and expires after a few minutes. Reload the page to start again.</p>
     </div>
   `;
 }
@@ -739,7 +739,7 @@ router.post('/webhook', async (req, res) => {
         // Continue anyway - mapping is not critical for sending
       }
 
-      // Send message via WhatsApp (drip mode: 5s between messages)
+      // Send message via WhatsApp (drip mode, high-priority lane: conversational replies go ahead of bulk sends)
       try {
         if (parsedAttachments && parsedAttachments.length > 0) {
           for (const attachment of parsedAttachments) {
@@ -748,7 +748,9 @@ router.post('/webhook', async (req, res) => {
               phoneNumber,
               attachment.url || messageContent,
               attachment.type || 'document',
-              attachment.url
+              attachment.url,
+              null,
+              { ghlMessageId: messageId, priority: 'high' }
             );
           }
         } else if (messageContent) {
@@ -756,7 +758,10 @@ router.post('/webhook', async (req, res) => {
             subAccount.id,
             phoneNumber,
             messageContent,
-            'text'
+            'text',
+            null,
+            null,
+            { ghlMessageId: messageId, priority: 'high' }
           );
         }
 
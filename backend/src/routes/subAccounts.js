@@ -115,9 +115,44 @@ router.put('/:id', authenticateJWT, async (req, res) => {
 
     const { name, isActive, ghlLocationId } = req.body;
 
+    // Sending limits: delays are non-negative integers (ms), caps are positive integers or null (unlimited)
+    for (const field of ['sendDelayMinMs', 'sendDelayMaxMs']) {
+      if (req.body[field] !== undefined && !(Number.isInteger(req.body[field]) && req.body[field] >= 0)) {
+        return res.status(400).json({ error: `${field} must be a non-negative integer` });
+      }
+    }
+    for (const field of ['hourlySendCap', 'dailySendCap']) {
+      if (req.body[field] !== undefined && req.body[field] !== null &&
+          !(Number.isInteger(req.body[field]) && req.body[field] > 0)) {
+        return res.status(400).json({ error: `${field} must be a positive integer or null` });
+      }
+    }
+    // History backfill window pushed to GHL: 1-365 days, or null to only store the history
+    if (req.body.historyBackfillGhlDays !== undefined && req.body.historyBackfillGhlDays !== null &&
+        !(Number.isInteger(req.body.historyBackfillGhlDays) && req.body.historyBackfillGhlDays >= 1 && req.body.historyBackfillGhlDays <= 365)) {
+      return res.status(400).json({ error: 'historyBackfillGhlDays must be an integer between 1 and 365, or null' });
+    }
+    if (req.body.callRejectMessage !== undefined && req.body.callRejectMessage !== null &&
+        !(typeof req.body.callRejectMessage === 'string' && req.body.callRejectMessage.length <= 1000)) {
+      return res.status(400).json({ error: 'callRejectMessage must be a string of at most 1000 characters, or null' });
+    }
+    const minDelay = req.body.sendDelayMinMs ?? subAccount.sendDelayMinMs;
+    const maxDelay = req.body.sendDelayMaxMs ?? subAccount.sendDelayMaxMs;
+    if (maxDelay < minDelay) {
+      return res.status(400).json({ error: 'sendDelayMaxMs must be greater than or equal to sendDelayMinMs' });
+    }
+
     if (name !== undefined) subAccount.name = name;
     if (typeof isActive === 'boolean') subAccount.isActive = isActive;
     if (ghlLocationId !== undefined) subAccount.ghlLocationId = ghlLocationId;
+    if (typeof req.body.syncGroupsToGhl === 'boolean') subAccount.syncGroupsToGhl = req.body.syncGroupsToGhl;
+    if (typeof req.body.historyBackfill === 'boolean') subAccount.historyBackfill = req.body.historyBackfill;
+    if (req.body.historyBackfillGhlDays !== undefined) subAccount.historyBackfillGhlDays = req.body.historyBackfillGhlDays;
+    if (typeof req.body.rejectCalls === 'boolean') subAccount.rejectCalls = req.body.rejectCalls;
+    if (req.body.callRejectMessage !== undefined) subAccount.callRejectMessage = req.body.callRejectMessage?.trim() || null;
+    for (const field of ['sendDelayMinMs', 'sendDelayMaxMs', 'hourlySendCap', 'dailySendCap']) {
+      if (req.body[field] !== undefined) subAccount[field] = req.body[field];
+    }
 
     await subAccount.save();
 
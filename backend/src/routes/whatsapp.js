@@ -4,11 +4,154 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { SubAccount, Message } = require('../models');
+const { SubAccount, Message, DeadLetterMessage, WhatsAppMapping } = require('../models');
 const { authenticateJWT, authenticateApiKey, requirePaidSubAccount } = require('../middleware/auth');
 const whatsappService = require('../services/whatsapp');
+const messageQueue = require('../services/messageQueue');
+const sessionOwnership = require('../services/sessionOwnership');
+const connectionEvents = require('../services/connectionEvents');
+const historyBackfill = require('../services/historyBackfill');
+const contactProfiles = require('../services/contactProfiles');
+const presenceService = require('../services/presence');
+const numberValidation = require('../services/numberValidation');
 const logger = require('../utils/logger');
 
+// Requests that need the live socket (or its QR code) run on the instance that owns the session
+const routeToOwner = sessionOwnership.routeToOwner();
+
+// Send types whose content is a structured field (location, contact/contacts, poll) rather than message
+const STRUCTURED_TYPES = ['location', 'contact', 'poll'];
+
+// Queue an API send instead of sending it immediately (priority lane requested or send cap reached)
+function queueApiSend(subAccountId, body, payload, priority) {
+  const { to, message, type = 'text', mediaUrl, fileName } = body;
+  return messageQueue.queueMessage(subAccountId, to, message, type, mediaUrl || null, fileName || null, {
+    origin: 'api',
+    payload,
+    priority
+  });
+}
+
+// Shared by the JWT and API key contact profile routes
+async function sendContactProfile(subAccount, req, res) {
+  const phoneNumber = (req.params.phoneNumber || '').replace(/\D/g, '');
+  if (!/^[1-9]\d{7,14}$/.test(phoneNumber)) {
+    return res.status(400).json({ error: 'Invalid phone number' });
+  }
+
+  const refresh = req.query.refresh === 'true';
+  const profile = await contactProfiles.getProfile(subAccount.id, phoneNumber, { refresh });
+  if (!profile) {
+    return res.status(404).json({ error: 'Contact profile not found' });
+  }
+
+  // An explicit refresh also brings the GHL contact up to date
+  let ghl = null;
+  if (refresh) {
+    const mapping = await WhatsAppMapping.findOne({ where: { subAccountId: subAccount.id, phoneNumber } });
+    ghl = await contactProfiles.syncToGhl(subAccount, mapping);
+  }
+
+  res.json({ profile, ...(refresh && { ghl }) });
+}
+
+// Shared by the JWT and API key presence routes: GET returns the contact's last known presence,
+// POST subscribes to its presence updates (presence.update webhooks), DELETE stops renewing that
+async function handlePresence(subAccount, req, res) {
+  const phoneNumber = (req.params.phoneNumber || '').replace(/\D/g, '');
+  if (!/^[1-9]\d{7,14}$/.test(phoneNumber)) {
+    return res.status(400).json({ error: 'Invalid phone number' });
+  }
+
+  if (req.method === 'POST') {
+    await presenceService.subscribe(subAccount.id, phoneNumber);
+  } else if (req.method === 'DELETE') {
+    await presenceService.unsubscribe(subAccount.id, phoneNumber);
+  }
+
+  res.json({ presence: await presenceService.getPresence(subAccount.id, phoneNumber) });
+}
+
+async function jwtPresenceRoute(req, res) {
+  try {
+    const subAccount = await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    await handlePresence(subAccount, req, res);
+  } catch (error) {
+    logger.error('Contact presence error:', error);
+    res.status(500).json({ error: error.message || 'Failed to handle contact presence' });
+  }
+}
+
+async function apiPresenceRoute(req, res) {
+  try {
+    let subAccount;
+
+    if (req.authType === 'subAccount') {
+      subAccount = req.subAccount;
+    } else {
+      const { subAccountId: providedId } = req.query;
+      if (!providedId) {
+        return res.status(400).json({ error: 'subAccountId is required' });
+      }
+
+      subAccount = await SubAccount.findOne({
+        where: { id: providedId, customerId: req.customer.id }
+      });
+
+      if (!subAccount) {
+        return res.status(404).json({ error: 'Sub-account not found' });
+      }
+    }
+
+    await handlePresence(subAccount, req, res);
+  } catch (error) {
+    logger.error('API Contact presence error:', error);
+    res.status(500).json({ error: error.message || 'Failed to handle contact presence' });
+  }
+}
+
+// Shared by the JWT and API key number validation routes - starts a background job
+async function startNumberValidation(subAccount, req, res) {
+  const { options, error } = numberValidation.parseRequest(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (subAccount.status !== 'connected') {
+    return res.status(400).json({ error: 'WhatsApp is not connected' });
+  }
+  if (options.ghlTag && (!subAccount.ghlConnected || !subAccount.ghlLocationId)) {
+    return res.status(400).json({ error: 'GHL is not connected - tagGhl is not available' });
+  }
+  if (numberValidation.isRunning(subAccount.id)) {
+    return res.status(409).json({ error: 'A number validation is already running for this sub-account' });
+  }
+
+  const job = numberValidation.start(subAccount, options);
+  res.status(202).json({ jobId: job.id, status: job.status, total: job.total, invalid: job.invalid });
+}
+
+// Progress and results of a number validation job - ?format=csv for a CSV download
+function sendNumberValidation(subAccount, req, res) {
+  const job = numberValidation.getJob(subAccount.id, req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Validation job not found (results are kept for an hour)' });
+  }
+
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="number-validation-${job.id}.csv"`);
+    return res.send(numberValidation.toCsv(job));
+  }
+  res.json({ job });
+}
+
 // Configure multer for file uploads
 const uploadDir = path.join(__dirname, '../../uploads');
 if (!fs.existsSync(uploadDir)) {
@@ -78,8 +221,8 @@ router.post('/upload', authenticateJWT, upload.single('file'), async (req, res)
   }
 });
 
-// Connect WhatsApp (get QR code) - REQUIRES PAYMENT
-router.post('/:subAccountId/connect', authenticateJWT, requirePaidSubAccount, async (req, res) => {
+// Connect WhatsApp (get QR code, or a pairing code when phoneNumber is given) - REQUIRES PAYMENT
+router.post('/:subAccountId/connect', authenticateJWT, requirePaidSubAccount, routeToOwner, async (req, res) => {
   try {
     // subAccount is already attached by requirePaidSubAccount middleware
     const subAccount = req.subAccount || await SubAccount.findOne({
@@ -90,7 +233,25 @@ router.post('/:subAccountId/connect', authenticateJWT, requirePaidSubAccount, as
       return res.status(404).json({ error: 'Sub-account not found' });
     }
 
-    const result = await whatsappService.connect(subAccount.id);
+    // Optional: link with a pairing code for this number instead of a QR code
+    const { phoneNumber } = req.body || {};
+    let pairingNumber = null;
+    if (phoneNumber) {
+      pairingNumber = whatsappService.normalizePairingNumber(phoneNumber);
+      if (!pairingNumber) {
+        return res.status(400).json({ error: 'phoneNumber must be the full international number, e.g. 447700900123' });
+      }
+    }
+
+    const result = await whatsappService.connect(subAccount.id, { phoneNumber: pairingNumber });
+
+    if (pairingNumber && result.status === 'connecting') {
+      const pairing = await whatsappService.waitForPairingCode(subAccount.id);
+      if (pairing) {
+        return res.json({ status: 'pairing_code_ready', pairingCode: pairing.code, phoneNumber: pairing.phoneNumber });
+      }
+    }
+
     res.json(result);
   } catch (error) {
     logger.error('Connect WhatsApp error:', error);
@@ -99,7 +260,7 @@ router.post('/:subAccountId/connect', authenticateJWT, requirePaidSubAccount, as
 });
 
 // Get QR code
-router.get('/:subAccountId/qr', authenticateJWT, async (req, res) => {
+router.get('/:subAccountId/qr', authenticateJWT, routeToOwner, async (req, res) => {
   try {
     const subAccount = await SubAccount.findOne({
       where: { id: req.params.subAccountId, customerId: req.customer.id }
@@ -126,7 +287,7 @@ router.get('/:subAccountId/qr', authenticateJWT, async (req, res) => {
 });
 
 // Get connection status
-router.get('/:subAccountId/status', authenticateJWT, async (req, res) => {
+router.get('/:subAccountId/status', authenticateJWT, routeToOwner, async (req, res) => {
   try {
     const subAccount = await SubAccount.findOne({
       where: { id: req.params.subAccountId, customerId: req.customer.id }
@@ -145,7 +306,7 @@ router.get('/:subAccountId/status', authenticateJWT, async (req, res) => {
 });
 
 // Disconnect WhatsApp
-router.post('/:subAccountId/disconnect', authenticateJWT, async (req, res) => {
+router.post('/:subAccountId/disconnect', authenticateJWT, routeToOwner, async (req, res) => {
   try {
     const subAccount = await SubAccount.findOne({
       where: { id: req.params.subAccountId, customerId: req.customer.id }
@@ -164,7 +325,7 @@ router.post('/:subAccountId/disconnect', authenticateJWT, async (req, res) => {
 });
 
 // Send message (JWT auth) - REQUIRES PAYMENT
-router.post('/:subAccountId/send', authenticateJWT, requirePaidSubAccount, async (req, res) => {
+router.post('/:subAccountId/send', authenticateJWT, requirePaidSubAccount, routeToOwner, async (req, res) => {
   try {
     // subAccount is already attached by requirePaidSubAccount middleware
     const subAccount = req.subAccount || await SubAccount.findOne({
@@ -175,13 +336,39 @@ router.post('/:subAccountId/send', authenticateJWT, requirePaidSubAccount, async
       return res.status(404).json({ error: 'Sub-account not found' });
     }
 
-    const { to, message, type = 'text', mediaUrl, fileName } = req.body;
+    const { to, message, type = 'text', mediaUrl, fileName, priority } = req.body;
 
-    if (!to || !message) {
+    // Location, contact and poll messages carry their content in a structured field instead of message
+    if (!to || (!message && !STRUCTURED_TYPES.includes(type))) {
       return res.status(400).json({ error: 'To and message are required' });
     }
 
-    const result = await whatsappService.sendMessage(subAccount.id, to, message, type, mediaUrl, fileName);
+    const { payload, error: payloadError } = whatsappService.buildSendPayload(type, req.body);
+    if (payloadError) {
+      return res.status(400).json({ error: payloadError });
+    }
+
+    if (payload?.replyTo && !await whatsappService.findReplyTarget(subAccount.id, payload.replyTo)) {
+      return res.status(404).json({ error: 'Reply target message not found' });
+    }
+
+    if (priority !== undefined && !messageQueue.isValidPriority(priority)) {
+      return res.status(400).json({ error: 'priority must be one of: high, normal, bulk' });
+    }
+
+    // Requested lanes go through the drip queue; over-cap sends are deferred rather than dropped
+    const cap = await messageQueue.checkSendCap(subAccount.id);
+    if (priority || cap) {
+      const queued = await queueApiSend(subAccount.id, req.body, payload, priority || 'normal');
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        priority: queued.priority,
+        ...(cap && { deferredUntil: cap.resumeAt, reason: cap.reason })
+      });
+    }
+
+    const result = await whatsappService.sendMessage(subAccount.id, to, message, type, mediaUrl, fileName, { payload });
     res.json({ success: true, message: result });
   } catch (error) {
     logger.error('Send message error:', error);
@@ -190,7 +377,7 @@ router.post('/:subAccountId/send', authenticateJWT, requirePaidSubAccount, async
 });
 
 // Send message (API key auth - for external integrations) - REQUIRES PAYMENT
-router.post('/send', authenticateApiKey, async (req, res) => {
+router.post('/send', authenticateApiKey, routeToOwner, async (req, res) => {
   try {
     let subAccount;
 
@@ -220,13 +407,39 @@ router.post('/send', authenticateApiKey, async (req, res) => {
       });
     }
 
-    const { to, message, type = 'text', mediaUrl, fileName } = req.body;
+    const { to, message, type = 'text', mediaUrl, fileName, priority } = req.body;
 
-    if (!to || !message) {
+    // Location, contact and poll messages carry their content in a structured field instead of message
+    if (!to || (!message && !STRUCTURED_TYPES.includes(type))) {
       return res.status(400).json({ error: 'To and message are required' });
     }
 
-    const result = await whatsappService.sendMessage(subAccount.id, to, message, type, mediaUrl, fileName);
+    const { payload, error: payloadError } = whatsappService.buildSendPayload(type, req.body);
+    if (payloadError) {
+      return res.status(400).json({ error: payloadError });
+    }
+
+    if (payload?.replyTo && !await whatsappService.findReplyTarget(subAccount.id, payload.replyTo)) {
+      return res.status(404).json({ error: 'Reply target message not found' });
+    }
+
+    if (priority !== undefined && !messageQueue.isValidPriority(priority)) {
+      return res.status(400).json({ error: 'priority must be one of: high, normal, bulk' });
+    }
+
+    // Requested lanes go through the drip queue; over-cap sends are deferred rather than dropped
+    const cap = await messageQueue.checkSendCap(subAccount.id);
+    if (priority || cap) {
+      const queued = await queueApiSend(subAccount.id, req.body, payload, priority || 'normal');
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        priority: queued.priority,
+        ...(cap && { deferredUntil: cap.resumeAt, reason: cap.reason })
+      });
+    }
+
+    const result = await whatsappService.sendMessage(subAccount.id, to, message, type, mediaUrl, fileName, { payload });
     res.json({ success: true, message: result });
   } catch (error) {
     logger.error('API Send message error:', error);
@@ -235,7 +448,7 @@ router.post('/send', authenticateApiKey, async (req, res) => {
 });
 
 // Get status via API key
-router.get('/status', authenticateApiKey, async (req, res) => {
+router.get('/status', authenticateApiKey, routeToOwner, async (req, res) => {
   try {
     let subAccountId;
 
@@ -257,6 +470,135 @@ router.get('/status', authenticateApiKey, async (req, res) => {
   }
 });
 
+// List groups via API key
+router.get('/groups', authenticateApiKey, routeToOwner, async (req, res) => {
+  try {
+    let subAccount;
+
+    if (req.authType === 'subAccount') {
+      subAccount = req.subAccount;
+    } else {
+      const { subAccountId: providedId } = req.query;
+      if (!providedId) {
+        return res.status(400).json({ error: 'subAccountId is required' });
+      }
+
+      subAccount = await SubAccount.findOne({
+        where: { id: providedId, customerId: req.customer.id }
+      });
+
+      if (!subAccount) {
+        return res.status(404).json({ error: 'Sub-account not found' });
+      }
+    }
+
+    const groups = await whatsappService.getGroups(subAccount.id);
+    res.json({ groups });
+  } catch (error) {
+    logger.error('API Get groups error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get groups' });
+  }
+});
+
+// Contact profile (picture, business info) via API key
+router.get('/contacts/:phoneNumber/profile', authenticateApiKey, routeToOwner, async (req, res) => {
+  try {
+    let subAccount;
+
+    if (req.authType === 'subAccount') {
+      subAccount = req.subAccount;
+    } else {
+      const { subAccountId: providedId } = req.query;
+      if (!providedId) {
+        return res.status(400).json({ error: 'subAccountId is required' });
+      }
+
+      subAccount = await SubAccount.findOne({
+        where: { id: providedId, customerId: req.customer.id }
+      });
+
+      if (!subAccount) {
+        return res.status(404).json({ error: 'Sub-account not found' });
+      }
+    }
+
+    await sendContactProfile(subAccount, req, res);
+  } catch (error) {
+    logger.error('API Get contact profile error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get contact profile' });
+  }
+});
+
+// Check a list of numbers against WhatsApp via API key (background job) - REQUIRES PAYMENT
+router.post('/numbers/validate', authenticateApiKey, routeToOwner, async (req, res) => {
+  try {
+    let subAccount;
+
+    if (req.authType === 'subAccount') {
+      subAccount = req.subAccount;
+    } else {
+      const { subAccountId: providedId } = req.body;
+      if (!providedId) {
+        return res.status(400).json({ error: 'subAccountId is required' });
+      }
+
+      subAccount = await SubAccount.findOne({
+        where: { id: providedId, customerId: req.customer.id }
+      });
+
+      if (!subAccount) {
+        return res.status(404).json({ error: 'Sub-account not found' });
+      }
+    }
+
+    // Check payment status (admin bypass)
+    if (req.customer.role !== 'admin' && !subAccount.isPaid) {
+      return res.status(402).json({
+        error: 'Payment required',
+        message: 'This sub-account requires an active subscription'
+      });
+    }
+
+    await startNumberValidation(subAccount, req, res);
+  } catch (error) {
+    logger.error('API Start number validation error:', error);
+    res.status(500).json({ error: error.message || 'Failed to start number validation' });
+  }
+});
+
+router.get('/numbers/validate/:jobId', authenticateApiKey, routeToOwner, async (req, res) => {
+  try {
+    let subAccount;
+
+    if (req.authType === 'subAccount') {
+      subAccount = req.subAccount;
+    } else {
+      const { subAccountId: providedId } = req.query;
+      if (!providedId) {
+        return res.status(400).json({ error: 'subAccountId is required' });
+      }
+
+      subAccount = await SubAccount.findOne({
+        where: { id: providedId, customerId: req.customer.id }
+      });
+
+      if (!subAccount) {
+        return res.status(404).json({ error: 'Sub-account not found' });
+      }
+    }
+
+    sendNumberValidation(subAccount, req, res);
+  } catch (error) {
+    logger.error('API Get number validation error:', error);
+    res.status(500).json({ error: 'Failed to get number validation' });
+  }
+});
+
+// Contact presence via API key (last known presence; subscribe / unsubscribe)
+router.get('/contacts/:phoneNumber/presence', authenticateApiKey, routeToOwner, apiPresenceRoute);
+router.post('/contacts/:phoneNumber/presence', authenticateApiKey, routeToOwner, apiPresenceRoute);
+router.delete('/contacts/:phoneNumber/presence', authenticateApiKey, routeToOwner, apiPresenceRoute);
+
 // Get messages for a sub-account
 router.get('/:subAccountId/messages', authenticateJWT, async (req, res) => {
   try {
@@ -268,11 +610,14 @@ router.get('/:subAccountId/messages', authenticateJWT, async (req, res) => {
       return res.status(404).json({ error: 'Sub-account not found' });
     }
 
-    const { page = 1, limit = 50, contact } = req.query;
+    const { page = 1, limit = 50, contact, group } = req.query;
     const offset = (page - 1) * limit;
 
     const where = { subAccountId: subAccount.id };
 
+    // Filter by group JID if provided
+    if (group) where.groupJid = group;
+
     // Filter by contact phone number if provided
     if (contact) {
       const { Op } = require('sequelize');
@@ -303,6 +648,435 @@ router.get('/:subAccountId/messages', authenticateJWT, async (req, res) => {
   }
 });
 
+// WhatsApp allows editing a sent message for 15 minutes
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Edit the text of a message sent from this sub-account
+router.put('/:subAccountId/messages/:messageId', authenticateJWT, requirePaidSubAccount, routeToOwner, async (req, res) => {
+  try {
+    const subAccount = req.subAccount || await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    const { message: newContent } = req.body;
+    if (!newContent || typeof newContent !== 'string') {
+      return res.status(400).json({ error: 'message is required' });
+    }
+
+    const message = await Message.findOne({
+      where: { id: req.params.messageId, subAccountId: subAccount.id }
+    });
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (message.direction !== 'outbound' || !message.messageId) {
+      return res.status(400).json({ error: 'Only messages sent from this account can be edited' });
+    }
+    if (message.messageType !== 'text') {
+      return res.status(400).json({ error: 'Only text messages can be edited' });
+    }
+    if (message.revokedAt) {
+      return res.status(400).json({ error: 'Message has been deleted' });
+    }
+    if (Date.now() - new Date(message.createdAt).getTime() > EDIT_WINDOW_MS) {
+      return res.status(400).json({ error: 'Messages can only be edited within 15 minutes of sending' });
+    }
+
+    const updated = await whatsappService.editMessage(subAccount.id, message, newContent);
+    res.json({ success: true, message: updated });
+  } catch (error) {
+    logger.error('Edit message error:', error);
+    res.status(500).json({ error: error.message || 'Failed to edit message' });
+  }
+});
+
+// Delete a message sent from this sub-account for everyone
+router.delete('/:subAccountId/messages/:messageId', authenticateJWT, requirePaidSubAccount, routeToOwner, async (req, res) => {
+  try {
+    const subAccount = req.subAccount || await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    const message = await Message.findOne({
+      where: { id: req.params.messageId, subAccountId: subAccount.id }
+    });
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (message.direction !== 'outbound' || !message.messageId) {
+      return res.status(400).json({ error: 'Only messages sent from this account can be deleted' });
+    }
+    if (message.revokedAt) {
+      return res.status(400).json({ error: 'Message has already been deleted' });
+    }
+
+    const deleted = await whatsappService.deleteMessage(subAccount.id, message);
+    res.json({ success: true, message: deleted });
+  } catch (error) {
+    logger.error('Delete message error:', error);
+    res.status(500).json({ error: error.message || 'Failed to delete message' });
+  }
+});
+
+// List WhatsApp groups the sub-account's number belongs to
+router.get('/:subAccountId/groups', authenticateJWT, routeToOwner, async (req, res) => {
+  try {
+    const subAccount = await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    const groups = await whatsappService.getGroups(subAccount.id);
+    res.json({ groups });
+  } catch (error) {
+    logger.error('Get groups error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get groups' });
+  }
+});
+
+// Get a single group with its participants
+router.get('/:subAccountId/groups/:groupJid', authenticateJWT, routeToOwner, async (req, res) => {
+  try {
+    const subAccount = await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    if (!req.params.groupJid.endsWith('@g.us')) {
+      return res.status(400).json({ error: 'Invalid group JID' });
+    }
+
+    const group = await whatsappService.getGroup(subAccount.id, req.params.groupJid);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    res.json({ group });
+  } catch (error) {
+    logger.error('Get group error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get group' });
+  }
+});
+
+// Contact profile (picture, business info), cached for a day - ?refresh=true refetches it and
+// updates the GHL contact's avatar/name
+router.get('/:subAccountId/contacts/:phoneNumber/profile', authenticateJWT, routeToOwner, async (req, res) => {
+  try {
+    const subAccount = await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    await sendContactProfile(subAccount, req, res);
+  } catch (error) {
+    logger.error('Get contact profile error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get contact profile' });
+  }
+});
+
+// Check a list of numbers against WhatsApp (background job)
+router.post('/:subAccountId/numbers/validate', authenticateJWT, requirePaidSubAccount, routeToOwner, async (req, res) => {
+  try {
+    const subAccount = await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    await startNumberValidation(subAccount, req, res);
+  } catch (error) {
+    logger.error('Start number validation error:', error);
+    res.status(500).json({ error: error.message || 'Failed to start number validation' });
+  }
+});
+
+router.get('/:subAccountId/numbers/validate/:jobId', authenticateJWT, routeToOwner, async (req, res) => {
+  try {
+    const subAccount = await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    sendNumberValidation(subAccount, req, res);
+  } catch (error) {
+    logger.error('Get number validation error:', error);
+    res.status(500).json({ error: 'Failed to get number validation' });
+  }
+});
+
+// Contact presence (last known presence; subscribe / unsubscribe)
+router.get('/:subAccountId/contacts/:phoneNumber/presence', authenticateJWT, routeToOwner, jwtPresenceRoute);
+router.post('/:subAccountId/contacts/:phoneNumber/presence', authenticateJWT, routeToOwner, jwtPresenceRoute);
+router.delete('/:subAccountId/contacts/:phoneNumber/presence', authenticateJWT, routeToOwner, jwtPresenceRoute);
+
+// Outbound queue depth per priority lane, send counts and limits for a sub-account
+router.get('/:subAccountId/queue', authenticateJWT, async (req, res) => {
+  try {
+    const subAccount = await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    const queue = await messageQueue.getQueueStats(subAccount.id);
+    res.json({ queue });
+  } catch (error) {
+    logger.error('Get queue stats error:', error);
+    res.status(500).json({ error: 'Failed to get queue stats' });
+  }
+});
+
+// Connection history (timeline) and uptime for a sub-account
+// ?days=7 (max 90), ?limit=100 (max 500) events, newest first
+router.get('/:subAccountId/connection-events', authenticateJWT, async (req, res) => {
+  try {
+    const subAccount = await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const to = new Date();
+    const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+
+    const [events, uptime] = await Promise.all([
+      connectionEvents.getTimeline(subAccount.id, { from, to, limit }),
+      connectionEvents.getUptime(subAccount.id, { from, to })
+    ]);
+
+    res.json({ events, uptime });
+  } catch (error) {
+    logger.error('Get connection events error:', error);
+    res.status(500).json({ error: 'Failed to get connection history' });
+  }
+});
+
+// Chat history import progress (see historyBackfill on the sub-account)
+router.get('/:subAccountId/history-backfill', authenticateJWT, async (req, res) => {
+  try {
+    const subAccount = await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    const { backfill, pendingGhl } = await historyBackfill.getProgress(subAccount.id);
+
+    res.json({
+      enabled: subAccount.historyBackfill,
+      ghlDays: subAccount.historyBackfillGhlDays,
+      backfill,
+      pendingGhl
+    });
+  } catch (error) {
+    logger.error('Get history backfill error:', error);
+    res.status(500).json({ error: 'Failed to get history backfill' });
+  }
+});
+
+// Resume pushing imported history to GHL (e.g. after it stopped because GHL was disconnected)
+router.post('/:subAccountId/history-backfill/resume', authenticateJWT, routeToOwner, async (req, res) => {
+  try {
+    const subAccount = await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    if (!subAccount.ghlConnected || !subAccount.ghlLocationId) {
+      return res.status(400).json({ error: 'GHL is not connected for this sub-account' });
+    }
+
+    await historyBackfill.startGhlSync(subAccount.id);
+    const { backfill, pendingGhl } = await historyBackfill.getProgress(subAccount.id);
+
+    res.json({ backfill, pendingGhl });
+  } catch (error) {
+    logger.error('Resume history backfill error:', error);
+    res.status(500).json({ error: 'Failed to resume history backfill' });
+  }
+});
+
+// List failed sends (dead-letter store) for a sub-account
+router.get('/:subAccountId/dead-letters', authenticateJWT, async (req, res) => {
+  try {
+    const subAccount = await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    const { page = 1, limit = 50, origin } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = { subAccountId: subAccount.id };
+    if (origin) where.origin = origin;
+
+    const { count, rows: deadLetters } = await DeadLetterMessage.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      deadLetters,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get dead letters error:', error);
+    res.status(500).json({ error: 'Failed to get failed messages' });
+  }
+});
+
+// Retry failed sends - all of them, or only the given ids
+router.post('/:subAccountId/dead-letters/retry', authenticateJWT, requirePaidSubAccount, async (req, res) => {
+  try {
+    const subAccount = req.subAccount || await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    const { ids } = req.body;
+    if (ids !== undefined && !messageQueue.isValidIdList(ids)) {
+      return res.status(400).json({ error: 'ids must be a non-empty array of failed message ids' });
+    }
+
+    const where = { subAccountId: subAccount.id };
+    if (ids) where.id = ids;
+
+    const result = await messageQueue.retryDeadLetters(where);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Retry dead letters error:', error);
+    res.status(500).json({ error: 'Failed to retry messages' });
+  }
+});
+
+// Retry a single failed send
+router.post('/:subAccountId/dead-letters/:id/retry', authenticateJWT, requirePaidSubAccount, async (req, res) => {
+  try {
+    const subAccount = req.subAccount || await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    if (!messageQueue.isValidId(req.params.id)) {
+      return res.status(404).json({ error: 'Failed message not found' });
+    }
+
+    const result = await messageQueue.retryDeadLetters({ id: req.params.id, subAccountId: subAccount.id });
+    if (result.retried === 0 && result.failed === 0) {
+      return res.status(404).json({ error: 'Failed message not found' });
+    }
+
+    res.json({ success: result.retried === 1, ...result });
+  } catch (error) {
+    logger.error('Retry dead letter error:', error);
+    res.status(500).json({ error: 'Failed to retry message' });
+  }
+});
+
+// Discard failed sends - all of them, or only the given ids
+router.post('/:subAccountId/dead-letters/discard', authenticateJWT, async (req, res) => {
+  try {
+    const subAccount = await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    const { ids } = req.body;
+    if (ids !== undefined && !messageQueue.isValidIdList(ids)) {
+      return res.status(400).json({ error: 'ids must be a non-empty array of failed message ids' });
+    }
+
+    const where = { subAccountId: subAccount.id };
+    if (ids) where.id = ids;
+
+    const discarded = await messageQueue.discardDeadLetters(where);
+    res.json({ success: true, discarded });
+  } catch (error) {
+    logger.error('Discard dead letters error:', error);
+    res.status(500).json({ error: 'Failed to discard messages' });
+  }
+});
+
+// Discard a single failed send
+router.delete('/:subAccountId/dead-letters/:id', authenticateJWT, async (req, res) => {
+  try {
+    const subAccount = await SubAccount.findOne({
+      where: { id: req.params.subAccountId, customerId: req.customer.id }
+    });
+
+    if (!subAccount) {
+      return res.status(404).json({ error: 'Sub-account not found' });
+    }
+
+    if (!messageQueue.isValidId(req.params.id)) {
+      return res.status(404).json({ error: 'Failed message not found' });
+    }
+
+    const discarded = await messageQueue.discardDeadLetters({ id: req.params.id, subAccountId: subAccount.id });
+    if (discarded === 0) {
+      return res.status(404).json({ error: 'Failed message not found' });
+    }
+
+    res.json({ success: true, discarded });
+  } catch (error) {
+    logger.error('Discard dead letter error:', error);
+    res.status(500).json({ error: 'Failed to discard message' });
+  }
+});
+
 // Get unique contacts (conversations) for a sub-account
 router.get('/:subAccountId/conversations', authenticateJWT, async (req, res) => {
   try {
@@ -0,0 +1,250 @@
+const path = require('path');
+const fs = require('fs');
+const { Op } = require('sequelize');
+const { sequelize, SubAccount, WhatsAppAuthKey } = require('../models');
+const { encrypt, decrypt } = require('../utils/encryption');
+const logger = require('../utils/logger');
+
+// Legacy file-based sessions (useMultiFileAuthState), imported into the database once on boot
+const SESSION_PATH = process.env.SESSION_PATH || './sessions';
+const MIGRATED_SUFFIX = '.migrated';
+
+// Baileys key types, used to split legacy file names ("<type>-<id>.json")
+// Longest first so e.g. "sender-key-memory" is not read as "sender-key"
+const KEY_TYPES = [
+  'app-state-sync-version',
+  'app-state-sync-key',
+  'sender-key-memory',
+  'sender-key',
+  'device-list',
+  'lid-mapping',
+  'pre-key',
+  'session',
+  'tctoken'
+];
+
+// Baileys helpers (ESM module, loaded lazily like in the WhatsApp service)
+let BufferJSON, initAuthCreds, proto;
+
+async function initBaileys() {
+  if (!BufferJSON) {
+    const baileys = await import('@whiskeysockets/baileys');
+    BufferJSON = baileys.BufferJSON || baileys.default?.BufferJSON;
+    initAuthCreds = baileys.initAuthCreds || baileys.default?.initAuthCreds;
+    proto = baileys.proto || baileys.default?.proto;
+  }
+}
+
+function serialize(value) {
+  return encrypt(JSON.stringify(value, BufferJSON.replacer));
+}
+
+function deserialize(stored) {
+  return JSON.parse(decrypt(stored), BufferJSON.reviver);
+}
+
+class AuthStateService {
+  // Baileys auth state backed by the database (drop-in for useMultiFileAuthState)
+  // Credentials go to SubAccount.sessionData, signal keys to whatsapp_auth_keys - all encrypted
+  async useDatabaseAuthState(subAccountId) {
+    await initBaileys();
+
+    const subAccount = await SubAccount.findByPk(subAccountId, { attributes: ['id', 'sessionData'] });
+    if (!subAccount) {
+      throw new Error('Sub-account not found');
+    }
+
+    let creds;
+    try {
+      creds = subAccount.sessionData ? deserialize(subAccount.sessionData) : initAuthCreds();
+    } catch (error) {
+      // Unreadable (e.g. SESSION_ENCRYPTION_KEY changed or differs between instances) - a fresh
+      // identity would overwrite the real session on the first saveCreds, so refuse to connect
+      logger.error('Failed to decrypt stored WhatsApp credentials:', { subAccountId, error: error.message });
+      const undecryptable = new Error('Stored WhatsApp credentials cannot be decrypted');
+      undecryptable.reason = 'session_undecryptable';
+      throw undecryptable;
+    }
+
+    const keys = {
+      get: async (type, ids) => {
+        const rows = await WhatsAppAuthKey.findAll({
+          where: { subAccountId, type, keyId: { [Op.in]: ids } }
+        });
+
+        const data = {};
+        for (const row of rows) {
+          try {
+            let value = deserialize(row.value);
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[row.keyId] = value;
+          } catch (error) {
+            logger.warn('Failed to decrypt WhatsApp auth key:', { subAccountId, type, keyId: row.keyId, error: error.message });
+          }
+        }
+        return data;
+      },
+      set: async (data) => {
+        const upserts = [];
+        const removals = [];
+
+        for (const type of Object.keys(data)) {
+          for (const keyId of Object.keys(data[type])) {
+            const value = data[type][keyId];
+            if (value) {
+              upserts.push({ subAccountId, type, keyId, value: serialize(value) });
+            } else {
+              removals.push({ type, keyId });
+            }
+          }
+        }
+
+        await sequelize.transaction(async (transaction) => {
+          if (upserts.length) {
+            await WhatsAppAuthKey.bulkCreate(upserts, {
+              updateOnDuplicate: ['value', 'updatedAt'],
+              transaction
+            });
+          }
+          if (removals.length) {
+            await WhatsAppAuthKey.destroy({
+              where: { subAccountId, [Op.or]: removals },
+              transaction
+            });
+          }
+        });
+      }
+    };
+
+    const saveCreds = async () => {
+      await SubAccount.update({ sessionData: serialize(creds) }, { where: { id: subAccountId } });
+    };
+
+    return { state: { creds, keys }, saveCreds };
+  }
+
+  // Whether a sub-account has stored credentials to restore a session from
+  hasSession(subAccount) {
+    return !!subAccount.sessionData;
+  }
+
+  // Whether the stored credentials can be read and belong to a linked device
+  // (credentials saved before a QR scan or pairing completed have no account yet)
+  async hasLinkedCredentials(subAccount) {
+    if (!subAccount.sessionData) return false;
+    await initBaileys();
+
+    try {
+      return !!deserialize(subAccount.sessionData).me?.id;
+    } catch (error) {
+      logger.warn('Stored WhatsApp credentials cannot be decrypted:', { subAccountId: subAccount.id, error: error.message });
+      return false;
+    }
+  }
+
+  // Remove all stored credentials and keys (logout/disconnect)
+  async clear(subAccountId) {
+    await WhatsAppAuthKey.destroy({ where: { subAccountId } });
+    await SubAccount.update({ sessionData: null }, { where: { id: subAccountId } });
+
+    // Leftover legacy session directory
+    const sessionDir = path.join(SESSION_PATH, subAccountId);
+    if (fs.existsSync(sessionDir)) {
+      fs.rmSync(sessionDir, { recursive: true, force: true });
+    }
+  }
+
+  // Legacy file name -> { type, keyId }, undoing Baileys' file name escaping ("/" -> "__", ":" -> "-")
+  parseKeyFileName(fileName) {
+    const base = fileName.replace(/\.json$/, '');
+    const type = KEY_TYPES.find(t => base.startsWith(`${t}-`));
+    if (!type) return null;
+
+    let keyId = base.slice(type.length + 1).replace(/__/g, '/');
+    // Sender key IDs are "<group>::<sender>", the only IDs containing colons
+    if (type === 'sender-key') {
+      keyId = keyId.replace(/--/g, '::');
+    }
+    return { type, keyId };
+  }
+
+  // One-time import of a legacy session directory into the database
+  // Returns the number of keys imported
+  async importSessionDirectory(subAccountId, sessionDir) {
+    await initBaileys();
+
+    const credsFile = path.join(sessionDir, 'creds.json');
+    if (!fs.existsSync(credsFile)) {
+      throw new Error('creds.json not found');
+    }
+
+    const creds = JSON.parse(await fs.promises.readFile(credsFile, 'utf8'), BufferJSON.reviver);
+    const rows = [];
+
+    for (const fileName of await fs.promises.readdir(sessionDir)) {
+      if (fileName === 'creds.json' || !fileName.endsWith('.json')) continue;
+
+      const parsed = this.parseKeyFileName(fileName);
+      if (!parsed) {
+        logger.warn('Skipping unrecognised session file:', { subAccountId, fileName });
+        continue;
+      }
+
+      try {
+        const value = JSON.parse(await fs.promises.readFile(path.join(sessionDir, fileName), 'utf8'), BufferJSON.reviver);
+        rows.push({ subAccountId, ...parsed, value: serialize(value) });
+      } catch (error) {
+        logger.warn('Skipping unreadable session file:', { subAccountId, fileName, error: error.message });
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await WhatsAppAuthKey.destroy({ where: { subAccountId }, transaction });
+      if (rows.length) {
+        await WhatsAppAuthKey.bulkCreate(rows, { transaction });
+      }
+      await SubAccount.update({ sessionData: serialize(creds) }, { where: { id: subAccountId }, transaction });
+    });
+
+    return rows.length;
+  }
+
+  // Import every legacy session directory that has not been migrated yet (called on boot)
+  // Migrated directories are renamed to "<id>.migrated" and kept as a backup
+  async migrateSessionDirectories() {
+    if (!fs.existsSync(SESSION_PATH)) return;
+
+    const entries = await fs.promises.readdir(SESSION_PATH, { withFileTypes: true });
+    const dirs = entries.filter(entry => entry.isDirectory() && !entry.name.endsWith(MIGRATED_SUFFIX));
+    if (dirs.length === 0) return;
+
+    logger.info(`Migrating ${dirs.length} file-based WhatsApp session(s) to the database...`);
+
+    for (const dir of dirs) {
+      const subAccountId = dir.name;
+      const sessionDir = path.join(SESSION_PATH, subAccountId);
+
+      try {
+        const subAccount = await SubAccount.findByPk(subAccountId, { attributes: ['id', 'sessionData'] });
+        if (!subAccount) {
+          logger.warn('Skipping session directory without a sub-account:', { subAccountId });
+          continue;
+        }
+
+        // Already stored in the database (e.g. migrated by another instance) - keep the database copy
+        if (!subAccount.sessionData) {
+          const keyCount = await this.importSessionDirectory(subAccountId, sessionDir);
+          logger.info(`Migrated session for ${subAccountId} (${keyCount} keys)`);
+        }
+
+        await fs.promises.rename(sessionDir, `${sessionDir}${MIGRATED_SUFFIX}`);
+      } catch (error) {
+        logger.error(`Failed to migrate session for ${subAccountId}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new AuthStateService();
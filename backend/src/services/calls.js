@@ -0,0 +1,183 @@
+const { SubAccount, Message } = require('../models');
+const webhookService = require('./webhook');
+const ghlService = require('./ghl');
+const { TTLCache } = require('../utils/ttlCache');
+const logger = require('../utils/logger');
+
+// Calls still ringing, and calls already logged (offer -> ringing -> accept/reject/timeout/terminate
+// arrive as separate events) - Key: "subAccountId:callId"
+const CALL_STATE_TTL_MS = 10 * 60 * 1000;
+const activeCalls = new TTLCache({ name: 'activeCalls', maxSize: 5000, ttlMs: CALL_STATE_TTL_MS });
+const loggedCalls = new TTLCache({ name: 'loggedCalls', maxSize: 5000, ttlMs: CALL_STATE_TTL_MS });
+
+const STATUS_LABELS = {
+  missed: 'Missed',
+  rejected: 'Rejected',
+  answered: 'Answered'
+};
+
+// Incoming WhatsApp voice/video calls: optionally rejected with a text reply (rejectCalls /
+// callRejectMessage), and logged as a 'call' Message, a call.received webhook and a GHL
+// conversation entry once the outcome is known (missed, rejected or answered)
+class CallService {
+  constructor() {
+    this.whatsappService = null;
+  }
+
+  // Lazy load to avoid circular dependency
+  getWhatsAppService() {
+    if (!this.whatsappService) {
+      this.whatsappService = require('./whatsapp');
+    }
+    return this.whatsappService;
+  }
+
+  // Baileys 'call' event - a batch of call updates ({ id, from, callerPn, isVideo, isGroup, date, status, offline })
+  async handleCalls(subAccountId, calls) {
+    for (const call of calls) {
+      try {
+        await this.handleCall(subAccountId, call);
+      } catch (error) {
+        logger.error(`Handle call error for ${subAccountId}:`, error);
+      }
+    }
+  }
+
+  async handleCall(subAccountId, call) {
+    const key = `${subAccountId}:${call.id}`;
+    if (!call.id || loggedCalls.has(key)) return;
+
+    switch (call.status) {
+      case 'offer': {
+        // Offers replayed after a reconnect are calls that already ended
+        if (call.offline) {
+          return this.logCall(subAccountId, call, 'missed');
+        }
+
+        const subAccount = await SubAccount.findByPk(subAccountId);
+        if (subAccount?.rejectCalls) {
+          return this.rejectCall(subAccount, call);
+        }
+        activeCalls.set(key, call);
+        return;
+      }
+      case 'accept':
+        return this.logCall(subAccountId, activeCalls.get(key) || call, 'answered');
+      case 'reject':
+        // Declined on the phone (or another linked device)
+        return this.logCall(subAccountId, activeCalls.get(key) || call, 'rejected');
+      case 'timeout':
+      case 'terminate':
+        // Caller hung up or nobody answered
+        return this.logCall(subAccountId, activeCalls.get(key) || call, 'missed');
+      default:
+        // 'ringing' - nothing to do until the call ends
+        return;
+    }
+  }
+
+  async rejectCall(subAccount, call) {
+    const whatsappService = this.getWhatsAppService();
+
+    try {
+      await whatsappService.rejectCall(subAccount.id, call.id, call.from);
+      logger.info(`Rejected incoming ${call.isVideo ? 'video' : 'voice'} call for ${subAccount.id} from ${call.from}`);
+    } catch (error) {
+      // Still logged - it shows up as missed on the phone instead
+      logger.warn('Failed to reject call:', { subAccountId: subAccount.id, callId: call.id, error: error.message });
+      return this.logCall(subAccount.id, call, 'missed');
+    }
+
+    let replySent = false;
+    if (subAccount.callRejectMessage) {
+      const caller = await whatsappService.resolveParticipant(subAccount.id, call.callerPn || call.from);
+      try {
+        await whatsappService.sendMessage(subAccount.id, caller.isLID ? caller.jid : caller.number, subAccount.callRejectMessage);
+        replySent = true;
+      } catch (error) {
+        logger.warn('Failed to send call reject reply:', { subAccountId: subAccount.id, callId: call.id, error: error.message });
+      }
+    }
+
+    await this.logCall(subAccount.id, call, 'rejected', { autoRejected: true, replySent });
+  }
+
+  // Store the call, fire call.received and add it to the caller's GHL conversation (once per call)
+  async logCall(subAccountId, call, status, { autoRejected = false, replySent = false } = {}) {
+    const key = `${subAccountId}:${call.id}`;
+    activeCalls.delete(key);
+    loggedCalls.set(key, true);
+
+    // Already stored (calls replayed after a reconnect)
+    const existing = await Message.findOne({ where: { subAccountId, messageId: call.id }, attributes: ['id'] });
+    if (existing) return;
+
+    const subAccount = await SubAccount.findByPk(subAccountId);
+    if (!subAccount) return;
+
+    const caller = await this.getWhatsAppService().resolveParticipant(subAccountId, call.callerPn || call.from);
+    const callType = call.isVideo ? 'video' : 'voice';
+    const offeredAt = call.date ? new Date(call.date) : new Date();
+    const content = `${STATUS_LABELS[status]} ${callType} call`;
+
+    const message = await Message.create({
+      subAccountId,
+      messageId: call.id,
+      direction: 'inbound',
+      fromNumber: caller.number,
+      toNumber: subAccount.phoneNumber || '',
+      messageType: 'call',
+      content,
+      status: 'delivered',
+      metadata: {
+        source: 'whatsapp',
+        isLID: caller.isLID,
+        call: {
+          callId: call.id,
+          isVideo: !!call.isVideo,
+          isGroup: !!call.isGroup,
+          status,
+          autoRejected,
+          replySent,
+          offeredAt
+        }
+      },
+      createdAt: offeredAt
+    });
+
+    logger.info(`${content} for ${subAccountId} from ${caller.number}`);
+
+    await webhookService.trigger(subAccountId, 'call.received', {
+      messageId: message.id,
+      callId: call.id,
+      from: caller.number,
+      isVideo: !!call.isVideo,
+      isGroup: !!call.isGroup,
+      status,
+      autoRejected,
+      replySent,
+      timestamp: offeredAt.toISOString(),
+      source: 'whatsapp'
+    });
+
+    const callBack = status !== 'answered' && !caller.isLID ? ` - call back on +${caller.number}` : '';
+    const ghlContent = [
+      `${STATUS_LABELS[status]} WhatsApp ${callType} call${callBack}`,
+      replySent ? `Auto-reply sent: ${subAccount.callRejectMessage}` : null
+    ].filter(Boolean).join('\n');
+
+    ghlService.syncMessageToGHL(
+      subAccount,
+      caller.number,
+      subAccount.phoneNumber || '',
+      ghlContent,
+      'inbound',
+      null,
+      caller.isLID,
+      [],
+      offeredAt
+    ).catch(err => logger.error('GHL call sync error:', err));
+  }
+}
+
+module.exports = new CallService();
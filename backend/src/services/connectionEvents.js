@@ -0,0 +1,96 @@
+const { Op } = require('sequelize');
+const { ConnectionEvent } = require('../models');
+const logger = require('../utils/logger');
+
+// Events that change whether the sub-account is up (connected) or down
+const UP_TYPES = ['connected'];
+const DOWN_TYPES = ['disconnected', 'logged_out', 'reconnect_stopped', 'phone_conflict'];
+
+class ConnectionEventService {
+  // Record a connection event - never throws, history must not break the connection flow
+  // details: { reason, statusCode, message, phoneNumber, metadata }
+  async record(subAccountId, type, details = {}) {
+    try {
+      await ConnectionEvent.create({
+        subAccountId,
+        type,
+        reason: details.reason || null,
+        statusCode: details.statusCode ?? null,
+        message: details.message || null,
+        phoneNumber: details.phoneNumber || null,
+        metadata: details.metadata || null
+      });
+    } catch (error) {
+      logger.error('Failed to record connection event:', { subAccountId, type, error: error.message });
+    }
+  }
+
+  // Events in a time window, newest first
+  async getTimeline(subAccountId, { from, to = new Date(), limit = 100 } = {}) {
+    return ConnectionEvent.findAll({
+      where: {
+        subAccountId,
+        createdAt: { [Op.between]: [from, to] }
+      },
+      order: [['createdAt', 'DESC']],
+      limit
+    });
+  }
+
+  // Share of the window the sub-account was connected, replayed from connected/disconnected events
+  // Time before the first recorded event is not counted (history starts when tracking started)
+  async getUptime(subAccountId, { from, to = new Date() } = {}) {
+    const end = Math.min(to.getTime(), Date.now());
+    const stateTypes = [...UP_TYPES, ...DOWN_TYPES];
+
+    // State at the start of the window
+    const previous = await ConnectionEvent.findOne({
+      where: { subAccountId, type: { [Op.in]: stateTypes }, createdAt: { [Op.lt]: from } },
+      order: [['createdAt', 'DESC']],
+      attributes: ['type']
+    });
+    const events = await ConnectionEvent.findAll({
+      where: { subAccountId, type: { [Op.in]: stateTypes }, createdAt: { [Op.between]: [from, new Date(end)] } },
+      order: [['createdAt', 'ASC']],
+      attributes: ['type', 'createdAt']
+    });
+
+    if (!previous && events.length === 0) {
+      return { from, to: new Date(end), trackedSince: null, connectedMs: 0, trackedMs: 0, uptimePercent: null, disconnects: 0 };
+    }
+
+    const start = previous ? from.getTime() : events[0].createdAt.getTime();
+    let up = UP_TYPES.includes(previous?.type);
+    let upSince = start;
+    let connectedMs = 0;
+    let disconnects = 0;
+
+    for (const event of events) {
+      const at = event.createdAt.getTime();
+      const isUp = UP_TYPES.includes(event.type);
+      if (isUp && !up) {
+        upSince = at;
+      } else if (!isUp && up) {
+        connectedMs += at - upSince;
+        disconnects++;
+      }
+      up = isUp;
+    }
+    if (up) {
+      connectedMs += end - upSince;
+    }
+
+    const trackedMs = end - start;
+    return {
+      from,
+      to: new Date(end),
+      trackedSince: new Date(start),
+      connectedMs,
+      trackedMs,
+      uptimePercent: trackedMs > 0 ? Math.round((connectedMs / trackedMs) * 10000) / 100 : null,
+      disconnects
+    };
+  }
+}
+
+module.exports = new ConnectionEventService();
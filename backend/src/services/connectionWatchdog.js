@@ -0,0 +1,184 @@
+const { Op } = require('sequelize');
+const { SubAccount } = require('../models');
+const whatsappService = require('./whatsapp');
+const sessionOwnership = require('./sessionOwnership');
+const authState = require('./authState');
+const connectionEvents = require('./connectionEvents');
+const logger = require('../utils/logger');
+
+const CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
+const STALE_AFTER_MS = 3 * 60 * 1000; // No socket events for this long - send a keepalive
+const CONNECTING_TIMEOUT_MS = 3 * 60 * 1000; // Socket never finished logging in
+
+// Finds sockets that look alive but are not (no events, failed keepalive, closed websocket,
+// stuck logging in) and restarts them; also corrects sub-account statuses that disagree
+// with the sockets actually running on this instance
+class ConnectionWatchdogService {
+  constructor() {
+    this.isRunning = false;
+    this.isChecking = false;
+    this.lastRun = null;
+  }
+
+  // Start the periodic check
+  start() {
+    if (this.isRunning) {
+      logger.warn('Connection watchdog already running');
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info('Connection watchdog started');
+
+    this.checkInterval = setInterval(() => {
+      this.check();
+    }, CHECK_INTERVAL_MS);
+  }
+
+  // Stop the periodic check
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+    }
+    this.isRunning = false;
+    logger.info('Connection watchdog stopped');
+  }
+
+  // Summary of the most recent check (admin)
+  getLastRun() {
+    return this.lastRun;
+  }
+
+  // One pass over the local sockets and the sub-accounts the database says are up
+  async check() {
+    // A slow pass (keepalives time out after 15s each) must not overlap the next one
+    if (this.isChecking) return;
+    this.isChecking = true;
+
+    const run = { startedAt: new Date(), checked: 0, restarted: [], repaired: [], keepalives: [] };
+
+    try {
+      const sessions = whatsappService.getLocalSessions();
+      run.checked = sessions.length;
+
+      const subAccounts = await SubAccount.findAll({
+        where: {
+          [Op.or]: [
+            { id: { [Op.in]: sessions.map(session => session.subAccountId) } },
+            { status: { [Op.in]: ['connected', 'connecting', 'qr_ready'] } }
+          ]
+        },
+        attributes: ['id', 'status', 'isActive', 'phoneNumber', 'sessionData', 'updatedAt']
+      });
+      const byId = new Map(subAccounts.map(subAccount => [subAccount.id, subAccount]));
+
+      for (const session of sessions) {
+        await this.checkSocket(session, byId.get(session.subAccountId), run);
+      }
+
+      const local = new Set(sessions.map(session => session.subAccountId));
+      for (const subAccount of subAccounts) {
+        if (!local.has(subAccount.id)) {
+          await this.checkMissingSocket(subAccount, run);
+        }
+      }
+    } catch (error) {
+      logger.error('Connection watchdog check failed:', error);
+    } finally {
+      run.finishedAt = new Date();
+      this.lastRun = run;
+      this.isChecking = false;
+    }
+
+    if (run.restarted.length || run.repaired.length) {
+      logger.info(`Connection watchdog: restarted ${run.restarted.length}, repaired ${run.repaired.length} of ${run.checked} local session(s)`);
+    }
+    return run;
+  }
+
+  // A socket running on this instance
+  async checkSocket(session, subAccount, run) {
+    const { subAccountId } = session;
+    const now = Date.now();
+
+    if (!subAccount || whatsappService.hasPendingReconnect(subAccountId)) return;
+
+    if (!session.isSocketOpen) {
+      return this.restart(subAccountId, 'socket_closed', run);
+    }
+
+    if (!session.isLinked) {
+      // Waiting for a QR scan or pairing code is expected; anything else should not take minutes
+      if (!session.isWaitingForLink && session.startedAt && now - session.startedAt > CONNECTING_TIMEOUT_MS) {
+        return this.restart(subAccountId, 'stuck_connecting', run);
+      }
+      return;
+    }
+
+    // Quiet socket - a keepalive round-trip tells an idle socket from a dead one
+    if (session.lastEventAt && now - session.lastEventAt > STALE_AFTER_MS) {
+      try {
+        const roundTripMs = await whatsappService.pingSocket(subAccountId);
+        run.keepalives.push({ subAccountId, roundTripMs });
+      } catch (error) {
+        run.keepalives.push({ subAccountId, error: error.message });
+        return this.restart(subAccountId, 'keepalive_failed', run, { idleMs: now - session.lastEventAt });
+      }
+    }
+
+    // Linked and alive, but the database missed the update
+    if (subAccount.status !== 'connected') {
+      await this.repair(subAccount, 'connected', run, {
+        phoneNumber: session.phoneNumber || subAccount.phoneNumber
+      });
+    }
+  }
+
+  // The database says a session is up or coming up, but this instance has no socket for it
+  async checkMissingSocket(subAccount, run) {
+    const { id } = subAccount;
+    if (whatsappService.hasPendingReconnect(id)) return;
+
+    // Another instance runs it (or failover will claim it once its lease has expired)
+    const owner = await sessionOwnership.getOwner(id);
+    if (owner !== sessionOwnership.getInstanceId()) return;
+
+    if (subAccount.status === 'connected') {
+      if (subAccount.isActive && authState.hasSession(subAccount)) {
+        return this.restart(id, 'missing_socket', run);
+      }
+      // Nothing left to reconnect with
+      return this.repair(subAccount, 'disconnected', run);
+    }
+
+    // A connect attempt that died before creating a socket (give a starting one time to get there)
+    if (Date.now() - new Date(subAccount.updatedAt).getTime() > CONNECTING_TIMEOUT_MS) {
+      await this.repair(subAccount, 'disconnected', run);
+    }
+  }
+
+  async restart(subAccountId, reason, run, metadata = {}) {
+    run.restarted.push({ subAccountId, reason });
+    await connectionEvents.record(subAccountId, 'watchdog_restart', { reason, metadata });
+
+    try {
+      await whatsappService.forceReconnect(subAccountId, reason);
+    } catch (error) {
+      logger.error(`Connection watchdog failed to restart ${subAccountId}:`, error.message);
+    }
+  }
+
+  async repair(subAccount, status, run, updates = {}) {
+    const from = subAccount.status;
+    run.repaired.push({ subAccountId: subAccount.id, from, to: status });
+    logger.warn(`Connection watchdog: correcting status of ${subAccount.id} from ${from} to ${status}`);
+
+    await subAccount.update({ status, ...updates });
+    await connectionEvents.record(subAccount.id, 'status_repaired', {
+      reason: `${from}_to_${status}`,
+      metadata: { from, to: status }
+    });
+  }
+}
+
+module.exports = new ConnectionWatchdogService();
@@ -0,0 +1,199 @@
+const axios = require('axios');
+const { WhatsAppMapping } = require('../models');
+const ghlService = require('./ghl');
+const mediaStore = require('./mediaStore');
+const { TTLCache } = require('../utils/ttlCache');
+const logger = require('../utils/logger');
+
+const PROFILE_TTL_MS = 24 * 60 * 60 * 1000; // Refetch a contact's profile at most once a day
+const FETCH_GAP_MS = 2000; // Between background profile fetches of one sub-account
+const DOWNLOAD_TIMEOUT_MS = 15000;
+const PHONE_PATTERN = /^[1-9]\d{9,14}$/;
+
+// GHL contact field holding the avatar URL
+const GHL_AVATAR_FIELD = 'profilePhoto';
+
+// Contacts checked recently - avoids a database lookup for every incoming message
+// Key: "subAccountId:phoneNumber"
+const recentlyChecked = new TTLCache({ name: 'contactProfileChecks', maxSize: 20000, ttlMs: PROFILE_TTL_MS });
+
+// Names GHL contacts get when created from a bare number: empty, "WhatsApp 4477...", or the number itself
+function isPlaceholderName(name, phoneNumber) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return true;
+  if (/^whatsapp\s*\+?[\d\s-]+$/i.test(trimmed)) return true;
+  return !/[a-z]/i.test(trimmed) && trimmed.replace(/\D/g, '').endsWith(phoneNumber.slice(-6));
+}
+
+// Baileys getBusinessProfile() result -> stored businessProfile
+function formatBusinessProfile(business) {
+  if (!business) return null;
+  return {
+    description: business.description || null,
+    category: business.category || null,
+    email: business.email || null,
+    website: business.website?.[0] || null,
+    address: business.address || null
+  };
+}
+
+// Contact profile pictures and WhatsApp Business info, cached on WhatsAppMapping and copied
+// to the matching GHL contact where it still has a placeholder name or no avatar
+class ContactProfileService {
+  constructor() {
+    this.whatsappService = null;
+    this.queues = new Map(); // subAccountId -> promise chain of background fetches
+  }
+
+  // Lazy load to avoid circular dependency
+  getWhatsAppService() {
+    if (!this.whatsappService) {
+      this.whatsappService = require('./whatsapp');
+    }
+    return this.whatsappService;
+  }
+
+  formatProfile(mapping) {
+    return {
+      phoneNumber: mapping.phoneNumber,
+      whatsappId: mapping.whatsappId,
+      name: mapping.contactName,
+      profilePictureUrl: mapping.profilePictureUrl,
+      business: mapping.businessProfile,
+      fetchedAt: mapping.profileFetchedAt
+    };
+  }
+
+  isStale(mapping) {
+    return !mapping?.profileFetchedAt || Date.now() - new Date(mapping.profileFetchedAt).getTime() > PROFILE_TTL_MS;
+  }
+
+  // Cached profile, refetched from WhatsApp when older than a day (or refresh is set)
+  // A stale profile is returned as is when the number is not connected, unless refresh was asked for
+  async getProfile(subAccountId, phoneNumber, { refresh = false } = {}) {
+    let mapping = await WhatsAppMapping.findOne({ where: { subAccountId, phoneNumber } });
+
+    if (refresh || this.isStale(mapping)) {
+      try {
+        mapping = await this.fetchProfile(subAccountId, phoneNumber);
+      } catch (error) {
+        if (refresh || !mapping) throw error;
+        logger.warn('Returning cached contact profile:', { subAccountId, phoneNumber, error: error.message });
+      }
+    }
+
+    return mapping ? this.formatProfile(mapping) : null;
+  }
+
+  // Fetch from WhatsApp and store on the contact's mapping (created if missing)
+  async fetchProfile(subAccountId, phoneNumber, name = null) {
+    const { pictureUrl, business } = await this.getWhatsAppService().fetchContactProfile(subAccountId, phoneNumber);
+
+    const [mapping] = await WhatsAppMapping.findOrCreate({
+      where: { subAccountId, phoneNumber },
+      // A profile lookup is not activity - recent unmapped numbers are matched to incoming LIDs
+      defaults: { contactName: name, lastActivityAt: null }
+    });
+
+    const updates = {
+      businessProfile: formatBusinessProfile(business),
+      profileFetchedAt: new Date()
+    };
+    if (name && !mapping.contactName) {
+      updates.contactName = name;
+    }
+
+    // WhatsApp picture URLs expire - keep our own copy, downloaded again only when the picture changed
+    const source = pictureUrl ? new URL(pictureUrl).pathname : null;
+    if (!source) {
+      updates.profilePictureUrl = null;
+      updates.profilePictureSource = null;
+    } else if (source !== mapping.profilePictureSource) {
+      try {
+        const response = await axios.get(pictureUrl, { responseType: 'arraybuffer', timeout: DOWNLOAD_TIMEOUT_MS });
+        const stored = await mediaStore.save(subAccountId, Buffer.from(response.data), {
+          mimetype: response.headers['content-type'] || 'image/jpeg'
+        });
+        updates.profilePictureUrl = stored.url;
+        updates.profilePictureSource = source;
+      } catch (error) {
+        logger.warn('Failed to download profile picture:', { subAccountId, phoneNumber, error: error.message });
+      }
+    }
+
+    await mapping.update(updates);
+    recentlyChecked.set(`${subAccountId}:${phoneNumber}`, true);
+    return mapping;
+  }
+
+  // Fill in the GHL contact's name and avatar when they are missing or auto-generated
+  // Returns the fields that were updated, or null when there is no GHL contact to update
+  async syncToGhl(subAccount, mapping) {
+    if (!subAccount.ghlConnected || !subAccount.ghlAccessToken || !subAccount.ghlLocationId) return null;
+
+    const contact = await ghlService.getContactByPhone(subAccount, subAccount.ghlLocationId, mapping.phoneNumber);
+    if (!contact) return null;
+
+    const updated = [];
+    const currentName = contact.contactName || contact.name ||
+      [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+
+    if (mapping.contactName && isPlaceholderName(currentName, mapping.phoneNumber)) {
+      const [firstName, ...rest] = mapping.contactName.trim().split(/\s+/);
+      try {
+        await ghlService.updateContact(subAccount, contact.id, { firstName, lastName: rest.join(' ') });
+        updated.push('name');
+      } catch (error) {
+        logger.warn('Failed to update GHL contact name:', { contactId: contact.id, error: error.message });
+      }
+    }
+
+    // Sent on its own so a rejected avatar doesn't block the name update
+    if (mapping.profilePictureUrl && !contact[GHL_AVATAR_FIELD]) {
+      try {
+        await ghlService.updateContact(subAccount, contact.id, { [GHL_AVATAR_FIELD]: mapping.profilePictureUrl });
+        updated.push('avatar');
+      } catch (error) {
+        logger.warn('Failed to update GHL contact avatar:', { contactId: contact.id, error: error.message });
+      }
+    }
+
+    if (updated.length) {
+      logger.info('Updated GHL contact from WhatsApp profile:', { contactId: contact.id, phoneNumber: mapping.phoneNumber, updated });
+    }
+    return { contactId: contact.id, updated };
+  }
+
+  // After an incoming message: refresh the sender's profile (at most daily) and update GHL
+  // Fetches run one at a time per sub-account, FETCH_GAP_MS apart, so bursts don't hammer WhatsApp
+  refreshInBackground(subAccount, phoneNumber, name = null) {
+    if (!PHONE_PATTERN.test(phoneNumber || '')) return;
+
+    const key = `${subAccount.id}:${phoneNumber}`;
+    if (recentlyChecked.has(key)) return;
+    recentlyChecked.set(key, true);
+
+    const previous = this.queues.get(subAccount.id) || Promise.resolve();
+    const next = previous.then(async () => {
+      try {
+        const mapping = await WhatsAppMapping.findOne({ where: { subAccountId: subAccount.id, phoneNumber } });
+        if (!this.isStale(mapping)) return;
+
+        const updated = await this.fetchProfile(subAccount.id, phoneNumber, name);
+        await this.syncToGhl(subAccount, updated);
+        await new Promise(resolve => setTimeout(resolve, FETCH_GAP_MS));
+      } catch (error) {
+        // Try again with the contact's next message
+        recentlyChecked.delete(key);
+        logger.warn('Background contact profile refresh failed:', { subAccountId: subAccount.id, phoneNumber, error: error.message });
+      }
+    });
+
+    this.queues.set(subAccount.id, next);
+    next.then(() => {
+      if (this.queues.get(subAccount.id) === next) this.queues.delete(subAccount.id);
+    });
+  }
+}
+
+module.exports = new ContactProfileService();
@@ -245,7 +245,8 @@ class GHLService {
   }
 
   // Get contact by phone number
-  async getContactByPhone(customer, locationId, phoneNumber, contactName = null) {
+  // throwOnError - API errors are thrown instead of returned as null (= no matching contact)
+  async getContactByPhone(customer, locationId, phoneNumber, contactName = null, { throwOnError = false } = {}) {
     try {
       // Clean phone number
       const cleanPhone = phoneNumber.replace(/\D/g, '');
@@ -317,13 +318,14 @@ class GHLService {
       return matchingContacts[0];
     } catch (error) {
       logger.error('GHL get contact by phone error:', error);
+      if (throwOnError) throw error;
       return null;
     }
   }
 
   // Get contact by name (for matching when phone number is unavailable)
   // Requires exact match OR single unambiguous partial match
-  async getContactByName(customer, locationId, name) {
+  async getContactByName(customer, locationId, name, { throwOnError = false } = {}) {
     try {
       if (!name || name.trim().length === 0) {
         return null;
@@ -439,6 +441,7 @@ class GHLService {
 
     } catch (error) {
       logger.error('GHL get contact by name error:', error);
+      if (throwOnError) throw error;
       return null;
     }
   }
@@ -526,12 +529,23 @@ class GHLService {
     }
   }
 
+  // Add tags to a contact in GHL (existing tags are kept)
+  async addContactTags(customer, contactId, tags) {
+    try {
+      const response = await this.apiRequest(customer, 'POST', `/contacts/${contactId}/tags`, { tags });
+      return response.tags;
+    } catch (error) {
+      logger.error('GHL add contact tags error:', error);
+      throw new Error('Failed to tag GHL contact');
+    }
+  }
+
   // Get contact by phone (search only, no auto-create)
   // Tries multiple phone formats to find existing contact
-  async getOrCreateContact(customer, locationId, phoneNumber, name = null) {
+  async getOrCreateContact(customer, locationId, phoneNumber, name = null, { throwOnError = false } = {}) {
     try {
       // getContactByPhone now handles all search variations including name fallback
-      const contact = await this.getContactByPhone(customer, locationId, phoneNumber, name);
+      const contact = await this.getContactByPhone(customer, locationId, phoneNumber, name, { throwOnError });
       if (contact) {
         logger.info(`Found existing GHL contact for ${phoneNumber}`, { contactId: contact.id, contactName: contact.name });
         return contact;
@@ -547,6 +561,7 @@ class GHLService {
       return null;
     } catch (error) {
       logger.error('GHL get contact error:', error.message);
+      if (throwOnError) throw error;
       return null;
     }
   }
@@ -577,7 +592,9 @@ class GHLService {
   }
 
   // Send message to GHL conversation (for logging purposes)
-  async addMessageToConversation(customer, conversationId, message, direction = 'inbound') {
+  // attachments is an optional array of public media URLs shown as real attachments in GHL
+  // date is optional - when the message was actually sent (imported chat history)
+  async addMessageToConversation(customer, conversationId, message, direction = 'inbound', attachments = [], date = null, { throwOnError = false } = {}) {
     try {
       // GHL API inbound message endpoint
       // Docs: https://marketplace.gohighlevel.com/docs/ghl/conversations/add-an-inbound-message
@@ -592,7 +609,13 @@ class GHLService {
         direction: direction,
         messageType: 'SMS'
       };
-      logger.info('Calling GHL inbound message API:', { conversationId, messageLength: message?.length, payload });
+      if (attachments.length > 0) {
+        payload.attachments = attachments;
+      }
+      if (date) {
+        payload.date = new Date(date).toISOString();
+      }
+      logger.info('Calling GHL inbound message API:', { conversationId, messageLength: message?.length, attachmentCount: attachments.length, payload });
 
       const response = await this.apiRequest(customer, 'POST', `/conversations/messages/inbound`, payload);
       logger.info(`Added ${direction} message to GHL conversation ${conversationId}`, { response });
@@ -604,7 +627,8 @@ class GHLService {
         conversationId,
         payload: { conversationId, type: 'SMS', bodyLength: message?.length }
       });
-      // Don't throw - message logging to GHL is not critical
+      // Don't throw unless asked - message logging to GHL is not critical
+      if (throwOnError) throw error;
       return null;
     }
   }
@@ -612,7 +636,12 @@ class GHLService {
   // Sync WhatsApp message to GHL
   // contactName is optional - used for name-based matching when phone is unavailable (WhatsApp LID)
   // isLID is optional - flag from WhatsApp service indicating this is a LID (not a real phone number)
-  async syncMessageToGHL(subAccount, fromNumber, toNumber, content, direction = 'inbound', contactName = null, isLID = false) {
+  // attachments is optional - public media URLs (from Message.mediaUrl) forwarded as GHL attachments
+  // date is optional - original send time, for messages imported from chat history
+  // throwOnError - GHL API errors are thrown, so null only means no contact to add the message to
+  // (or GHL not linked); without it every failure returns null
+  // Returns { contact, conversation, message } once the message was added
+  async syncMessageToGHL(subAccount, fromNumber, toNumber, content, direction = 'inbound', contactName = null, isLID = false, attachments = [], date = null, { throwOnError = false } = {}) {
     try {
       logger.info('syncMessageToGHL called', {
         subAccountId: subAccount.id,
@@ -622,6 +651,7 @@ class GHLService {
         contactName,
         isLID,
         contentLength: content?.length,
+        attachmentCount: attachments.length,
         ghlConnected: subAccount.ghlConnected,
         hasAccessToken: !!subAccount.ghlAccessToken,
         ghlLocationId: subAccount.ghlLocationId
@@ -666,7 +696,9 @@ class GHLService {
         contact = await this.getOrCreateContact(
           subAccount,
           subAccount.ghlLocationId,
-          externalPhone
+          externalPhone,
+          null,
+          { throwOnError }
         );
       } else {
         // Phone is either invalid format OR an unresolved LID
@@ -684,7 +716,8 @@ class GHLService {
           contact = await this.getContactByName(
             subAccount,
             subAccount.ghlLocationId,
-            contactName
+            contactName,
+            { throwOnError }
           );
 
           if (contact) {
@@ -754,20 +787,26 @@ class GHLService {
       }
 
       // Add message to conversation
-      if (conversation) {
-        logger.info('Adding message to conversation:', { conversationId: conversation.id, direction });
-        const result = await this.addMessageToConversation(
-          subAccount,
-          conversation.id,
-          content,
-          direction
-        );
-        logger.info(`Synced ${direction} message to GHL for ${externalPhone}`, { result });
-      } else {
+      if (!conversation) {
         logger.error('No conversation found/created, cannot sync message');
+        if (throwOnError) throw new Error('Failed to create GHL conversation');
+        return null;
       }
 
-      return { contact, conversation };
+      logger.info('Adding message to conversation:', { conversationId: conversation.id, direction });
+      const result = await this.addMessageToConversation(
+        subAccount,
+        conversation.id,
+        content,
+        direction,
+        attachments,
+        date,
+        { throwOnError }
+      );
+      if (!result) return null;
+      logger.info(`Synced ${direction} message to GHL for ${externalPhone}`, { result });
+
+      return { contact, conversation, message: result };
     } catch (error) {
       logger.error('GHL sync message error:', {
         error: error.message,
@@ -807,6 +846,7 @@ class GHLService {
         }
       }
 
+      if (throwOnError) throw error;
       return null;
     }
   }
@@ -827,6 +867,42 @@ class GHLService {
     }
   }
 
+  // Update delivery status of a message GHL sent through our conversation provider
+  // status: 'delivered' | 'read' | 'failed' | 'pending'
+  // Docs: https://marketplace.gohighlevel.com/docs/ghl/conversations/update-message-status
+  async updateMessageStatus(subAccount, messageId, status, errorMessage = null) {
+    try {
+      if (!subAccount?.ghlConnected || !subAccount?.ghlAccessToken) {
+        logger.warn('GHL not connected for sub-account, skipping message status update', {
+          subAccountId: subAccount?.id,
+          messageId
+        });
+        return null;
+      }
+
+      const payload = { status };
+      if (status === 'failed') {
+        payload.error = {
+          code: '1',
+          type: 'saas',
+          message: errorMessage || 'WhatsApp delivery failed'
+        };
+      }
+
+      const response = await this.apiRequest(subAccount, 'PUT', `/conversations/messages/${messageId}/status`, payload);
+      logger.info('Updated GHL message status:', { subAccountId: subAccount.id, messageId, status });
+      return response;
+    } catch (error) {
+      logger.warn('GHL update message status error:', {
+        messageId,
+        status,
+        httpStatus: error.response?.status,
+        error: error.response?.data || error.message
+      });
+      return null;
+    }
+  }
+
   // Disconnect GHL for customer
   async disconnect(customerId) {
     try {
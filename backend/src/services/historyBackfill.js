@@ -0,0 +1,306 @@
+const { Op } = require('sequelize');
+const { SubAccount, Message, WhatsAppMapping, HistoryBackfill } = require('../models');
+const ghlService = require('./ghl');
+const sessionOwnership = require('./sessionOwnership');
+const logger = require('../utils/logger');
+
+const GHL_SYNC_DELAY_MS = 2000; // Between messages pushed to GHL - each push is several GHL API calls
+const GHL_SYNC_BATCH_SIZE = 50;
+const INSERT_BATCH_SIZE = 200;
+// Rate limits (429), GHL outages (5xx) and network errors are retried with backoff before the push stops
+const GHL_RETRY_ATTEMPTS = 6;
+const GHL_RETRY_BASE_DELAY_MS = 30000; // Doubling: 30s, 1m, 2m, 4m, 8m between attempts
+const GHL_RETRY_MAX_DELAY_MS = 10 * 60 * 1000;
+const PHONE_PATTERN = /^[1-9]\d{9,14}$/;
+
+// Baileys message timestamps are seconds, sometimes as a Long
+function toDate(timestamp) {
+  if (!timestamp) return null;
+  const seconds = typeof timestamp.toNumber === 'function' ? timestamp.toNumber() : Number(timestamp);
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+// Worth retrying later, as opposed to errors that need someone to act (expired token, GHL disconnected)
+function isTransientGhlError(error) {
+  const status = error.response?.status;
+  if (!status) return !!error.code; // Timeouts and connection errors (ECONNRESET, ETIMEDOUT...)
+  return status === 429 || status >= 500;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Chat history WhatsApp sends after a number is linked (messaging-history.set), for sub-accounts
+// that opted in (historyBackfill): messages are stored in Message, and those inside the
+// historyBackfillGhlDays window are pushed to GHL in the background, oldest first.
+// The GHL push is driven by Message.historySyncStatus, so it picks up where it stopped after a restart
+class HistoryBackfillService {
+  constructor() {
+    this.whatsappService = null;
+    this.syncing = new Set();
+  }
+
+  // Lazy load to avoid circular dependency
+  getWhatsAppService() {
+    if (!this.whatsappService) {
+      this.whatsappService = require('./whatsapp');
+    }
+    return this.whatsappService;
+  }
+
+  // One messaging-history.set batch ({ chats, contacts, messages, syncType, progress, isLatest })
+  async handleHistorySet(subAccountId, { contacts = [], messages = [], syncType, progress }) {
+    try {
+      const subAccount = await SubAccount.findByPk(subAccountId);
+      if (!subAccount?.historyBackfill) return;
+
+      await this.storeContactMappings(subAccountId, contacts);
+
+      const [backfill] = await HistoryBackfill.findOrCreate({ where: { subAccountId } });
+      await backfill.update({ status: 'importing', lastError: null, completedAt: null });
+
+      const imported = await this.importMessages(subAccount, messages, backfill);
+      logger.info(`History backfill: imported ${imported} of ${messages.length} message(s) for ${subAccountId}`, { syncType, progress });
+
+      await this.startGhlSync(subAccountId);
+    } catch (error) {
+      logger.error(`History backfill import failed for ${subAccountId}:`, error);
+      await HistoryBackfill.update({ status: 'failed', lastError: error.message }, { where: { subAccountId } })
+        .catch(() => {});
+    }
+  }
+
+  // Phone number <-> LID pairs from the synced contacts, so history from LID chats resolves
+  async storeContactMappings(subAccountId, contacts) {
+    for (const contact of contacts) {
+      const phoneJid = contact.id?.endsWith('@s.whatsapp.net') ? contact.id : contact.phoneNumber;
+      const lidJid = contact.id?.endsWith('@lid') ? contact.id : contact.lid;
+      if (!phoneJid || !lidJid) continue;
+
+      const phoneNumber = phoneJid.split('@')[0].split(':')[0];
+      if (!PHONE_PATTERN.test(phoneNumber)) continue;
+
+      try {
+        await WhatsAppMapping.upsert({
+          subAccountId,
+          phoneNumber,
+          whatsappId: lidJid.split('@')[0],
+          contactName: contact.name || contact.notify || null,
+          lastActivityAt: new Date()
+        }, { conflictFields: ['subAccountId', 'phoneNumber'] });
+      } catch (error) {
+        logger.warn('History backfill: failed to store LID mapping:', { subAccountId, phoneNumber, error: error.message });
+      }
+    }
+  }
+
+  // Store the one-to-one chat messages of a batch that are not stored yet; returns how many were stored
+  async importMessages(subAccount, messages, backfill) {
+    const subAccountId = subAccount.id;
+    const whatsappService = this.getWhatsAppService();
+    const ghlWindowStart = subAccount.historyBackfillGhlDays
+      ? new Date(Date.now() - subAccount.historyBackfillGhlDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    // Groups, status updates and channels are not imported
+    const candidates = messages.filter(msg => msg.key?.id &&
+      (msg.key.remoteJid?.endsWith('@s.whatsapp.net') || msg.key.remoteJid?.endsWith('@lid')));
+
+    const known = new Set();
+    for (const ids of chunk(candidates.map(msg => msg.key.id), 500)) {
+      const existing = await Message.findAll({
+        where: { subAccountId, messageId: { [Op.in]: ids } },
+        attributes: ['messageId']
+      });
+      existing.forEach(message => known.add(message.messageId));
+    }
+
+    const rows = [];
+    for (const msg of candidates) {
+      if (known.has(msg.key.id)) continue;
+      known.add(msg.key.id);
+
+      const sentAt = toDate(msg.messageTimestamp);
+      if (!sentAt) continue;
+
+      const parsed = await whatsappService.extractMessageContent(subAccountId, msg);
+      if (!parsed) continue;
+
+      const isFromMe = !!msg.key.fromMe;
+      const contact = await whatsappService.resolveParticipant(subAccountId, msg.key.remoteJid);
+      const ourNumber = subAccount.phoneNumber || '';
+
+      rows.push({
+        subAccountId,
+        messageId: msg.key.id,
+        direction: isFromMe ? 'outbound' : 'inbound',
+        fromNumber: isFromMe ? ourNumber : contact.number,
+        toNumber: isFromMe ? contact.number : ourNumber,
+        messageType: parsed.messageType,
+        content: parsed.content,
+        status: isFromMe ? 'sent' : 'delivered',
+        // Media is not downloaded for history - the placeholder/caption is kept
+        metadata: {
+          rawMessage: msg,
+          source: 'history',
+          pushName: isFromMe ? null : (msg.pushName || null),
+          isLID: contact.isLID,
+          ...parsed.details
+        },
+        historySyncStatus: ghlWindowStart && sentAt >= ghlWindowStart ? 'pending' : null,
+        createdAt: sentAt,
+        updatedAt: new Date()
+      });
+    }
+
+    for (const batch of chunk(rows, INSERT_BATCH_SIZE)) {
+      await Message.bulkCreate(batch);
+    }
+
+    if (rows.length) {
+      const times = rows.map(row => row.createdAt.getTime());
+      const oldest = new Date(Math.min(...times));
+      const newest = new Date(Math.max(...times));
+      await backfill.update({
+        messagesImported: backfill.messagesImported + rows.length,
+        oldestMessageAt: backfill.oldestMessageAt && backfill.oldestMessageAt < oldest ? backfill.oldestMessageAt : oldest,
+        newestMessageAt: backfill.newestMessageAt && backfill.newestMessageAt > newest ? backfill.newestMessageAt : newest
+      });
+    }
+
+    return rows.length;
+  }
+
+  // Push pending history to GHL in the background (no-op if already running here, or the
+  // session is owned by another instance, which runs it there)
+  async startGhlSync(subAccountId) {
+    if (this.syncing.has(subAccountId)) return;
+
+    const owner = await sessionOwnership.getOwner(subAccountId);
+    if (owner && owner !== sessionOwnership.getInstanceId()) return;
+
+    const pending = await Message.count({ where: { subAccountId, historySyncStatus: 'pending' } });
+    if (pending === 0) {
+      await HistoryBackfill.update({ status: 'completed', completedAt: new Date() }, { where: { subAccountId } });
+      return;
+    }
+
+    this.syncing.add(subAccountId);
+    await HistoryBackfill.update({ status: 'syncing', lastError: null }, { where: { subAccountId } });
+    logger.info(`History backfill: pushing ${pending} message(s) to GHL for ${subAccountId}`);
+
+    this.syncToGhl(subAccountId).finally(async () => {
+      this.syncing.delete(subAccountId);
+      // A history batch imported while the last pass was finishing
+      const remaining = await Message.count({ where: { subAccountId, historySyncStatus: 'pending' } }).catch(() => 0);
+      const backfill = await HistoryBackfill.findOne({ where: { subAccountId }, attributes: ['status'] }).catch(() => null);
+      if (remaining > 0 && backfill?.status !== 'failed') {
+        this.startGhlSync(subAccountId).catch(err => logger.error('History backfill restart failed:', err.message));
+      }
+    });
+  }
+
+  async syncToGhl(subAccountId) {
+    try {
+      for (;;) {
+        const subAccount = await SubAccount.findByPk(subAccountId);
+        if (!subAccount) return;
+        if (!subAccount.ghlConnected || !subAccount.ghlLocationId) {
+          throw new Error('GHL is not connected');
+        }
+
+        const batch = await Message.findAll({
+          where: { subAccountId, historySyncStatus: 'pending' },
+          order: [['createdAt', 'ASC']],
+          limit: GHL_SYNC_BATCH_SIZE
+        });
+        if (batch.length === 0) break;
+
+        for (const message of batch) {
+          const result = await this.pushMessage(subAccount, message);
+
+          // null = no GHL contact for the number - not retried
+          await message.update({ historySyncStatus: result ? 'synced' : 'skipped' });
+          await HistoryBackfill.increment(result ? 'messagesSynced' : 'messagesSkipped', { where: { subAccountId } });
+
+          await new Promise(resolve => setTimeout(resolve, GHL_SYNC_DELAY_MS));
+        }
+      }
+
+      await HistoryBackfill.update({ status: 'completed', completedAt: new Date() }, { where: { subAccountId } });
+      logger.info(`History backfill: GHL push complete for ${subAccountId}`);
+    } catch (error) {
+      logger.error(`History backfill GHL push stopped for ${subAccountId}:`, error.message);
+      await HistoryBackfill.update({ status: 'failed', lastError: error.message }, { where: { subAccountId } })
+        .catch(() => {});
+    }
+  }
+
+  // Push one history message, retrying transient GHL errors with backoff
+  // Other API errors (or retries running out) stop the push with the message still pending,
+  // so a resume picks it up again
+  async pushMessage(subAccount, message) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await ghlService.syncMessageToGHL(
+          subAccount,
+          message.fromNumber,
+          message.toNumber,
+          message.content,
+          message.direction,
+          message.metadata?.pushName || null,
+          !!message.metadata?.isLID,
+          [],
+          message.createdAt,
+          { throwOnError: true }
+        );
+      } catch (error) {
+        if (!isTransientGhlError(error) || attempt >= GHL_RETRY_ATTEMPTS) throw error;
+
+        const delay = Math.min(GHL_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), GHL_RETRY_MAX_DELAY_MS);
+        logger.warn(`History backfill: GHL error for ${subAccount.id}, retrying in ${Math.round(delay / 1000)}s`, {
+          attempt,
+          status: error.response?.status,
+          error: error.message
+        });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Progress for the API, with how many messages still wait for GHL
+  async getProgress(subAccountId) {
+    const [backfill, pendingGhl] = await Promise.all([
+      HistoryBackfill.findOne({ where: { subAccountId } }),
+      Message.count({ where: { subAccountId, historySyncStatus: 'pending' } })
+    ]);
+    return { backfill, pendingGhl };
+  }
+
+  // Continue GHL pushes interrupted by a restart, and stopped ones that still have messages
+  // waiting (e.g. GHL was down for longer than the retries) - called on boot, after sessions are restored
+  async resumePending() {
+    try {
+      const backfills = await HistoryBackfill.findAll({
+        where: { status: { [Op.in]: ['importing', 'syncing', 'failed'] } },
+        attributes: ['subAccountId', 'status']
+      });
+
+      // Only sessions running here - avoids every instance pushing the same history
+      for (const { subAccountId, status } of backfills) {
+        if (!sessionOwnership.isOwnedLocally(subAccountId)) continue;
+        if (status === 'failed' && await Message.count({ where: { subAccountId, historySyncStatus: 'pending' } }) === 0) continue;
+        await this.startGhlSync(subAccountId);
+      }
+    } catch (error) {
+      logger.error('History backfill: failed to resume pending pushes', { error: error.message });
+    }
+  }
+}
+
+module.exports = new HistoryBackfillService();
@@ -0,0 +1,82 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+// Media is stored under uploads/ so it is served by the existing /uploads static route
+const MEDIA_DIR = path.join(__dirname, '../../uploads/media');
+
+// Skip downloading anything larger than this (WhatsApp allows up to 2GB documents)
+const MAX_MEDIA_SIZE = parseInt(process.env.MAX_MEDIA_SIZE_MB || '64', 10) * 1024 * 1024;
+
+// Ensure media directory exists
+if (!fs.existsSync(MEDIA_DIR)) {
+  fs.mkdirSync(MEDIA_DIR, { recursive: true });
+}
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'application/pdf': 'pdf',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/zip': 'zip',
+  'text/plain': 'txt'
+};
+
+// Extensions a sender's file name may keep - anything else (html, svg, js...) would be served as an
+// active page from the API origin, so it gets the mimetype's extension or .bin instead
+const ALLOWED_EXTENSIONS = new Set([...Object.values(EXTENSIONS), 'jpeg', 'ppt', 'pptx', 'csv']);
+
+class MediaStoreService {
+  getMaxSize() {
+    return MAX_MEDIA_SIZE;
+  }
+
+  // Pick a file extension from the original file name if it is allowed, falling back to the mimetype
+  getExtension(mimetype, fileName = null) {
+    const fromName = fileName ? path.extname(fileName).slice(1).toLowerCase() : '';
+    if (ALLOWED_EXTENSIONS.has(fromName)) {
+      return fromName;
+    }
+    // Strip parameters, e.g. "audio/ogg; codecs=opus"
+    const baseType = (mimetype || '').split(';')[0].trim().toLowerCase();
+    return EXTENSIONS[baseType] || 'bin';
+  }
+
+  getPublicUrl(subAccountId, storedName) {
+    const baseUrl = process.env.API_URL || process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+    return `${baseUrl}/uploads/media/${subAccountId}/${storedName}`;
+  }
+
+  // Save a downloaded media buffer for a sub-account
+  // Returns { url, fileName, mimetype, size }
+  async save(subAccountId, buffer, { mimetype = null, fileName = null } = {}) {
+    const dir = path.join(MEDIA_DIR, subAccountId);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const storedName = `${uuidv4()}.${this.getExtension(mimetype, fileName)}`;
+    await fs.promises.writeFile(path.join(dir, storedName), buffer);
+
+    logger.info('Stored media file:', { subAccountId, storedName, mimetype, size: buffer.length });
+
+    return {
+      url: this.getPublicUrl(subAccountId, storedName),
+      fileName: fileName || storedName,
+      mimetype: mimetype || 'application/octet-stream',
+      size: buffer.length
+    };
+  }
+}
+
+module.exports = new MediaStoreService();
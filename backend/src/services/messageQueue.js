@@ -1,16 +1,63 @@
+const { SubAccount, DeadLetterMessage } = require('../models');
+const { getRedisClient } = require('../config/redis');
+const ghlService = require('./ghl');
+const sessionOwnership = require('./sessionOwnership');
 const logger = require('../utils/logger');
+const { TTLCache } = require('../utils/ttlCache');
 
-const DELAY_BETWEEN_MESSAGES = 5000; // 5 seconds between messages
+const DEFAULT_SEND_DELAY_MS = 5000; // 5 seconds between messages unless the sub-account overrides it
 const MAX_ATTEMPTS = 3;
+const RESUME_DELAY_MS = 15000; // Give restored WhatsApp sessions time to open before resuming
 
-// In-memory queue per sub-account
-const queues = new Map();
+// Priority lanes, drained in this order
+// high = conversational replies from GHL, normal = API sends, bulk = campaigns
+const PRIORITIES = ['high', 'normal', 'bulk'];
+
+// Redis keys - queues survive restarts/deploys
+// One list per lane per sub-account (head = next message), plus a set of sub-accounts with pending items
+// The normal lane keeps the original un-suffixed key so queues written before lanes existed still drain
+const QUEUE_KEY_PREFIX = 'ghlwa:queue:';
+const ACTIVE_QUEUES_KEY = 'ghlwa:queue-active';
+const LAST_SENT_KEY_PREFIX = 'ghlwa:queue-last-sent:';
+const SEND_COUNT_KEY_PREFIX = 'ghlwa:send-count:';
+const GHL_ORIGIN_KEY_PREFIX = 'ghlwa:ghl-origin:';
+// Queues of sub-accounts no instance owns (disconnected, error, owner died) are drained by the
+// instance holding this lock, so their messages go through the normal attempts -> dead-letter path
+// instead of waiting in Redis for an owner that never comes
+const DRAIN_LOCK_KEY_PREFIX = 'ghlwa:queue-drain:';
+const DRAIN_LOCK_TTL_MS = 2 * 60 * 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_DEAD_LETTER_IDS = 1000;
+
+// In-memory fallback when Redis is not available (development)
+const queues = new Map(); // subAccountId -> { high: [], normal: [], bulk: [] }
+const lastSentAt = new Map();
+const sendCounts = new Map(); // "subAccountId:window" -> count
 const processing = new Map();
 
 // Track messages that originated from GHL webhooks to prevent feedback loops
+// Kept in Redis when available - the webhook may land on a different instance than the socket
 // Key: "subAccountId:phoneNumber" -> timestamp
-const ghlOriginMessages = new Map();
 const GHL_ORIGIN_TTL_MS = 30000; // 30 seconds
+const ghlOriginMessages = new TTLCache({ name: 'ghlOriginMessages', maxSize: 10000, ttlMs: GHL_ORIGIN_TTL_MS });
+
+function laneKey(subAccountId, priority) {
+  return priority === 'normal'
+    ? `${QUEUE_KEY_PREFIX}${subAccountId}`
+    : `${QUEUE_KEY_PREFIX}${subAccountId}:${priority}`;
+}
+
+// Current UTC hour/day windows, with the time each one resets
+function getCapWindows(now = new Date()) {
+  const hourStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), now.getUTCHours());
+  const dayStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const iso = new Date(hourStart).toISOString();
+  return {
+    hour: { id: `hour:${iso.slice(0, 13)}`, resetsAt: hourStart + 60 * 60 * 1000 },
+    day: { id: `day:${iso.slice(0, 10)}`, resetsAt: dayStart + 24 * 60 * 60 * 1000 }
+  };
+}
 
 class MessageQueueService {
   constructor() {
@@ -25,8 +72,203 @@ class MessageQueueService {
     return this.whatsappService;
   }
 
+  // Redis client if connected, otherwise null (use in-memory fallback)
+  getRedis() {
+    const client = getRedisClient();
+    return client?.isReady ? client : null;
+  }
+
+  isValidPriority(priority) {
+    return PRIORITIES.includes(priority);
+  }
+
+  // Dead-letter (and sub-account) ids from requests - anything else makes Postgres reject the query
+  isValidId(id) {
+    return typeof id === 'string' && UUID_PATTERN.test(id);
+  }
+
+  isValidIdList(ids) {
+    return Array.isArray(ids) && ids.length > 0 && ids.length <= MAX_DEAD_LETTER_IDS && ids.every(id => this.isValidId(id));
+  }
+
+  // Per-sub-account drip delay range and send caps (null cap = unlimited)
+  async getSendSettings(subAccountId) {
+    const subAccount = await SubAccount.findByPk(subAccountId, {
+      attributes: ['sendDelayMinMs', 'sendDelayMaxMs', 'hourlySendCap', 'dailySendCap']
+    });
+    const minDelay = subAccount?.sendDelayMinMs ?? DEFAULT_SEND_DELAY_MS;
+    return {
+      sendDelayMinMs: minDelay,
+      sendDelayMaxMs: Math.max(minDelay, subAccount?.sendDelayMaxMs ?? minDelay),
+      hourlySendCap: subAccount?.hourlySendCap ?? null,
+      dailySendCap: subAccount?.dailySendCap ?? null
+    };
+  }
+
+  // Random delay within the configured range so sends don't follow a fixed rhythm
+  getJitteredDelay(settings) {
+    const { sendDelayMinMs, sendDelayMaxMs } = settings;
+    return sendDelayMinMs + Math.floor(Math.random() * (sendDelayMaxMs - sendDelayMinMs + 1));
+  }
+
+  // Append a message to the tail of its priority lane
+  async pushMessage(subAccountId, message) {
+    const priority = this.isValidPriority(message.priority) ? message.priority : 'normal';
+    const redis = this.getRedis();
+    if (redis) {
+      await redis.rPush(laneKey(subAccountId, priority), JSON.stringify(message));
+      await redis.sAdd(ACTIVE_QUEUES_KEY, subAccountId);
+      return;
+    }
+    if (!queues.has(subAccountId)) {
+      queues.set(subAccountId, { high: [], normal: [], bulk: [] });
+    }
+    queues.get(subAccountId)[priority].push(message);
+  }
+
+  // Read the next message (highest priority lane first) without removing it
+  // Returns { message, priority } or null - removed only once handled
+  async peekMessage(subAccountId) {
+    const redis = this.getRedis();
+    for (const priority of PRIORITIES) {
+      if (redis) {
+        const raw = await redis.lIndex(laneKey(subAccountId, priority), 0);
+        if (raw) return { message: JSON.parse(raw), priority };
+      } else {
+        const message = queues.get(subAccountId)?.[priority][0];
+        if (message) return { message, priority };
+      }
+    }
+    return null;
+  }
+
+  // Remove the head of a priority lane
+  async shiftMessage(subAccountId, priority) {
+    const redis = this.getRedis();
+    if (redis) {
+      await redis.lPop(laneKey(subAccountId, priority));
+      return;
+    }
+    queues.get(subAccountId)?.[priority].shift();
+  }
+
+  // Pending messages per lane
+  async getLaneLengths(subAccountId) {
+    const redis = this.getRedis();
+    const lengths = {};
+    for (const priority of PRIORITIES) {
+      lengths[priority] = redis
+        ? await redis.lLen(laneKey(subAccountId, priority))
+        : (queues.get(subAccountId)?.[priority].length || 0);
+    }
+    return lengths;
+  }
+
+  async getQueueLength(subAccountId) {
+    const lengths = await this.getLaneLengths(subAccountId);
+    const length = lengths.high + lengths.normal + lengths.bulk;
+    const redis = this.getRedis();
+    if (redis && length === 0) {
+      await redis.sRem(ACTIVE_QUEUES_KEY, subAccountId);
+    }
+    return length;
+  }
+
+  // Record when the last send attempt happened (drip delay survives restarts)
+  async markSendAttempt(subAccountId) {
+    const now = Date.now();
+    const redis = this.getRedis();
+    if (redis) {
+      await redis.set(`${LAST_SENT_KEY_PREFIX}${subAccountId}`, String(now), { PX: 60 * 60 * 1000 });
+      return;
+    }
+    lastSentAt.set(subAccountId, now);
+  }
+
+  // Remaining drip delay before the next message may be sent
+  async getRemainingDelay(subAccountId, settings) {
+    const redis = this.getRedis();
+    const last = redis
+      ? parseInt(await redis.get(`${LAST_SENT_KEY_PREFIX}${subAccountId}`) || '0', 10)
+      : (lastSentAt.get(subAccountId) || 0);
+    return Math.max(0, settings.sendDelayMinMs - (Date.now() - last));
+  }
+
+  // Count a successful outbound send towards the hourly and daily caps
+  // Called by the WhatsApp service for every sent message, queued or not
+  async recordSend(subAccountId) {
+    const windows = getCapWindows();
+    const redis = this.getRedis();
+    for (const window of [windows.hour, windows.day]) {
+      const key = `${SEND_COUNT_KEY_PREFIX}${subAccountId}:${window.id}`;
+      if (redis) {
+        await redis.incr(key);
+        await redis.pExpireAt(key, window.resetsAt);
+      } else {
+        if (!sendCounts.has(key)) {
+          setTimeout(() => sendCounts.delete(key), window.resetsAt - Date.now());
+        }
+        sendCounts.set(key, (sendCounts.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  // Messages sent in the current hour and day
+  async getSendCounts(subAccountId) {
+    const windows = getCapWindows();
+    const redis = this.getRedis();
+    const counts = {};
+    for (const [name, window] of Object.entries(windows)) {
+      const key = `${SEND_COUNT_KEY_PREFIX}${subAccountId}:${window.id}`;
+      counts[name] = redis
+        ? parseInt(await redis.get(key) || '0', 10)
+        : (sendCounts.get(key) || 0);
+    }
+    return counts;
+  }
+
+  // Check the hourly/daily caps
+  // Returns null when a message may be sent now, otherwise { reason, resumeAt }
+  async checkSendCap(subAccountId, settings = null) {
+    settings = settings || await this.getSendSettings(subAccountId);
+    if (!settings.hourlySendCap && !settings.dailySendCap) return null;
+
+    const counts = await this.getSendCounts(subAccountId);
+    const windows = getCapWindows();
+
+    if (settings.dailySendCap && counts.day >= settings.dailySendCap) {
+      return { reason: 'daily_cap', resumeAt: new Date(windows.day.resetsAt) };
+    }
+    if (settings.hourlySendCap && counts.hour >= settings.hourlySendCap) {
+      return { reason: 'hourly_cap', resumeAt: new Date(windows.hour.resetsAt) };
+    }
+    return null;
+  }
+
+  // Queue depth, send counts and limits for a sub-account
+  async getQueueStats(subAccountId) {
+    const settings = await this.getSendSettings(subAccountId);
+    const [lanes, sent, cap] = await Promise.all([
+      this.getLaneLengths(subAccountId),
+      this.getSendCounts(subAccountId),
+      this.checkSendCap(subAccountId, settings)
+    ]);
+    return {
+      lanes,
+      pending: lanes.high + lanes.normal + lanes.bulk,
+      sentThisHour: sent.hour,
+      sentToday: sent.day,
+      settings,
+      deferred: cap
+    };
+  }
+
   // Add message to queue
-  async queueMessage(subAccountId, toNumber, content, messageType = 'text', mediaUrl = null, fileName = null) {
+  // options.priority - 'high', 'normal' (default) or 'bulk'
+  // options.ghlMessageId - GHL message ID, used to report delivery status back to GHL
+  // options.origin - 'ghl_webhook' (default) or 'api', kept if the message ends up dead-lettered
+  // options.payload - structured content for location/contact/poll/voice-note sends
+  async queueMessage(subAccountId, toNumber, content, messageType = 'text', mediaUrl = null, fileName = null, options = {}) {
     const message = {
       subAccountId,
       toNumber,
@@ -34,67 +276,311 @@ class MessageQueueService {
       messageType,
       mediaUrl,
       fileName,
+      priority: this.isValidPriority(options.priority) ? options.priority : 'normal',
+      ghlMessageId: options.ghlMessageId || null,
+      payload: options.payload || null,
+      origin: options.origin || 'ghl_webhook',
       attempts: 0,
+      attemptHistory: options.attemptHistory || [],
+      retryCount: options.retryCount || 0,
       queuedAt: new Date()
     };
 
-    if (!queues.has(subAccountId)) {
-      queues.set(subAccountId, []);
-    }
-
-    queues.get(subAccountId).push(message);
+    await this.pushMessage(subAccountId, message);
 
     logger.info(`Message queued for ${subAccountId} to ${toNumber}`, {
-      queueLength: queues.get(subAccountId).length
+      priority: message.priority,
+      queueLength: await this.getQueueLength(subAccountId),
+      durable: !!this.getRedis()
     });
 
     // Mark this phone as GHL-originated to prevent feedback loop
     const cleanPhone = toNumber.replace(/\D/g, '');
-    this.markGhlOrigin(subAccountId, cleanPhone);
+    await this.markGhlOrigin(subAccountId, cleanPhone);
 
     // Start processing if not already running
     this.startProcessing(subAccountId);
+
+    return message;
+  }
+
+  // Resume processing for every sub-account that still has queued messages (called on boot)
+  async resumePending() {
+    const redis = this.getRedis();
+    if (!redis) {
+      logger.info('Queue: Redis not available, nothing to resume');
+      return;
+    }
+
+    try {
+      const subAccountIds = await redis.sMembers(ACTIVE_QUEUES_KEY);
+      let resumed = 0;
+
+      for (const subAccountId of subAccountIds) {
+        const length = await this.getQueueLength(subAccountId);
+        if (length === 0) continue;
+
+        logger.info(`Queue: resuming ${length} pending message(s) for ${subAccountId}`);
+        resumed++;
+        setTimeout(() => this.startProcessing(subAccountId), RESUME_DELAY_MS);
+      }
+
+      logger.info(`Queue: scheduled resume for ${resumed} sub-account queue(s)`);
+    } catch (error) {
+      logger.error('Queue: failed to resume pending queues', { error: error.message });
+    }
   }
 
   // Mark a phone number as having a recent GHL-originated message
-  markGhlOrigin(subAccountId, phoneNumber) {
+  async markGhlOrigin(subAccountId, phoneNumber) {
     const key = `${subAccountId}:${phoneNumber}`;
+    const redis = this.getRedis();
+    if (redis) {
+      await redis.set(`${GHL_ORIGIN_KEY_PREFIX}${key}`, String(Date.now()), { PX: GHL_ORIGIN_TTL_MS });
+      logger.info('markGhlOrigin:', { key, durable: true });
+      return;
+    }
+
     ghlOriginMessages.set(key, Date.now());
     logger.info('markGhlOrigin:', { key, mapSize: ghlOriginMessages.size });
-    // Auto-cleanup after TTL
-    setTimeout(() => ghlOriginMessages.delete(key), GHL_ORIGIN_TTL_MS);
   }
 
   // Check if a phone number had a recent GHL-originated message
-  isGhlOrigin(subAccountId, phoneNumber) {
+  async isGhlOrigin(subAccountId, phoneNumber) {
     const key = `${subAccountId}:${phoneNumber}`;
+    const redis = this.getRedis();
+    if (redis) {
+      // Expired entries are removed by Redis (PX)
+      const found = !!(await redis.get(`${GHL_ORIGIN_KEY_PREFIX}${key}`));
+      logger.info('isGhlOrigin check:', { key, found, durable: true });
+      return found;
+    }
+
+    // Expired entries are never returned by the cache
     const timestamp = ghlOriginMessages.get(key);
-    const result = timestamp && (Date.now() - timestamp <= GHL_ORIGIN_TTL_MS);
-    logger.info('isGhlOrigin check:', { key, found: !!timestamp, ageMs: timestamp ? Date.now() - timestamp : null, result: !!result, mapSize: ghlOriginMessages.size });
-    if (!timestamp) return false;
-    if (Date.now() - timestamp > GHL_ORIGIN_TTL_MS) {
-      ghlOriginMessages.delete(key);
-      return false;
+    logger.info('isGhlOrigin check:', { key, found: !!timestamp, ageMs: timestamp ? Date.now() - timestamp : null, mapSize: ghlOriginMessages.size });
+    return !!timestamp;
+  }
+
+  // Mark a GHL message as failed after all send attempts are exhausted
+  async reportGhlFailure(message, errorMessage) {
+    try {
+      const subAccount = await SubAccount.findByPk(message.subAccountId);
+      if (!subAccount) return;
+      await ghlService.updateMessageStatus(subAccount, message.ghlMessageId, 'failed', errorMessage);
+    } catch (error) {
+      logger.error('Queue: failed to report GHL message failure', {
+        ghlMessageId: message.ghlMessageId,
+        error: error.message
+      });
+    }
+  }
+
+  // Keep a message that exhausted its send attempts in the dead-letter store
+  async moveToDeadLetter(message, errorMessage) {
+    try {
+      const deadLetter = await DeadLetterMessage.create({
+        subAccountId: message.subAccountId,
+        origin: message.origin || 'ghl_webhook',
+        priority: message.priority || 'normal',
+        toNumber: message.toNumber,
+        messageType: message.messageType,
+        content: message.content,
+        mediaUrl: message.mediaUrl,
+        fileName: message.fileName,
+        ghlMessageId: message.ghlMessageId,
+        payload: message.payload || null,
+        attempts: message.attempts,
+        lastError: errorMessage,
+        attemptHistory: message.attemptHistory || [],
+        queuedAt: message.queuedAt,
+        retryCount: message.retryCount || 0
+      });
+      logger.warn(`Queue: message to ${message.toNumber} moved to dead-letter store`, {
+        subAccountId: message.subAccountId,
+        deadLetterId: deadLetter.id,
+        origin: deadLetter.origin
+      });
+      return deadLetter;
+    } catch (error) {
+      logger.error('Queue: failed to store dead-letter message', {
+        subAccountId: message.subAccountId,
+        toNumber: message.toNumber,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // Re-queue dead-lettered messages (matching where) and remove them from the store
+  // Returns { retried, failed }
+  async retryDeadLetters(where) {
+    const deadLetters = await DeadLetterMessage.findAll({ where, order: [['createdAt', 'ASC']] });
+    const result = { retried: 0, failed: 0 };
+
+    for (const deadLetter of deadLetters) {
+      try {
+        await this.queueMessage(
+          deadLetter.subAccountId,
+          deadLetter.toNumber,
+          deadLetter.content,
+          deadLetter.messageType,
+          deadLetter.mediaUrl,
+          deadLetter.fileName,
+          {
+            ghlMessageId: deadLetter.ghlMessageId,
+            payload: deadLetter.payload,
+            origin: deadLetter.origin,
+            priority: deadLetter.priority,
+            attemptHistory: deadLetter.attemptHistory,
+            retryCount: deadLetter.retryCount + 1
+          }
+        );
+        await deadLetter.destroy();
+        result.retried++;
+      } catch (error) {
+        logger.error('Queue: failed to retry dead-letter message', { deadLetterId: deadLetter.id, error: error.message });
+        result.failed++;
+      }
     }
+
+    logger.info('Queue: dead-letter retry complete', result);
+    return result;
+  }
+
+  // Permanently discard dead-lettered messages (matching where)
+  async discardDeadLetters(where) {
+    const discarded = await DeadLetterMessage.destroy({ where });
+    logger.info(`Queue: discarded ${discarded} dead-letter message(s)`);
+    return discarded;
+  }
+
+  // Whether this instance should drain a sub-account's queue: it holds the session, or nobody
+  // does and this instance got the drain lock (sends then fail with "Not connected")
+  async canDrainHere(subAccountId) {
+    if (sessionOwnership.isOwnedLocally(subAccountId)) return true;
+    if (await sessionOwnership.getOwner(subAccountId)) return false;
+
+    const redis = this.getRedis();
+    if (!redis) return true;
+
+    const key = `${DRAIN_LOCK_KEY_PREFIX}${subAccountId}`;
+    const instanceId = sessionOwnership.getInstanceId();
+    if (await redis.set(key, instanceId, { NX: true, PX: DRAIN_LOCK_TTL_MS }) === 'OK') return true;
+    if (await redis.get(key) !== instanceId) return false;
+    await redis.pExpire(key, DRAIN_LOCK_TTL_MS);
     return true;
   }
 
-  startProcessing(subAccountId) {
+  async releaseDrainLock(subAccountId) {
+    const redis = this.getRedis();
+    if (!redis || sessionOwnership.isOwnedLocally(subAccountId)) return;
+
+    const key = `${DRAIN_LOCK_KEY_PREFIX}${subAccountId}`;
+    try {
+      if (await redis.get(key) === sessionOwnership.getInstanceId()) {
+        await redis.del(key);
+      }
+    } catch (error) {
+      logger.warn('Queue: failed to release drain lock', { subAccountId, error: error.message });
+    }
+  }
+
+  // Try the queue again after a drip delay (Redis or database hiccup) - it stays marked as
+  // processing so nothing else starts a second drain meanwhile
+  retryLater(subAccountId, settings = null) {
+    const delay = settings ? this.getJitteredDelay(settings) : DEFAULT_SEND_DELAY_MS;
+    setTimeout(() => this.processNext(subAccountId), delay);
+  }
+
+  async startProcessing(subAccountId) {
+    // Socket lives on another instance (or another instance drains it) - ask it to drain the (shared) queue
+    let drainHere;
+    try {
+      drainHere = await this.canDrainHere(subAccountId);
+    } catch (error) {
+      logger.error('Queue: failed to check queue owner', { subAccountId, error: error.message });
+      return;
+    }
+    if (!drainHere) {
+      await sessionOwnership.wake(subAccountId);
+      return;
+    }
+
     if (processing.get(subAccountId)) return;
     processing.set(subAccountId, true);
-    this.processNext(subAccountId);
+
+    // Respect the drip delay from the previous send (e.g. right after a restart)
+    let delay = 0;
+    try {
+      delay = await this.getRemainingDelay(subAccountId, await this.getSendSettings(subAccountId));
+    } catch (error) {
+      delay = 0;
+    }
+    if (delay > 0) {
+      setTimeout(() => this.processNext(subAccountId), delay);
+    } else {
+      this.processNext(subAccountId);
+    }
   }
 
   async processNext(subAccountId) {
-    const queue = queues.get(subAccountId);
+    // Lease moved to another instance mid-drain - it takes over from here
+    let drainHere;
+    try {
+      drainHere = await this.canDrainHere(subAccountId);
+    } catch (error) {
+      logger.error('Queue: failed to check queue owner', { subAccountId, error: error.message });
+      this.retryLater(subAccountId);
+      return;
+    }
+    if (!drainHere) {
+      processing.set(subAccountId, false);
+      await sessionOwnership.wake(subAccountId);
+      return;
+    }
 
-    if (!queue || queue.length === 0) {
+    let next;
+    let settings;
+    try {
+      next = await this.peekMessage(subAccountId);
+      settings = await this.getSendSettings(subAccountId);
+    } catch (error) {
+      logger.error('Queue: failed to read next message', { subAccountId, error: error.message });
+      await this.releaseDrainLock(subAccountId);
+      this.retryLater(subAccountId, settings);
+      return;
+    }
+
+    if (!next) {
       processing.set(subAccountId, false);
+      await this.releaseDrainLock(subAccountId);
       return;
     }
 
-    const message = queue.shift();
+    // Over the hourly/daily cap: leave everything queued and pick up again when the window resets
+    try {
+      const cap = await this.checkSendCap(subAccountId, settings);
+      if (cap) {
+        const waitMs = Math.max(1000, cap.resumeAt.getTime() - Date.now());
+        logger.info(`Queue: ${cap.reason.replace('_', ' ')} reached, deferring until ${cap.resumeAt.toISOString()}`, {
+          subAccountId,
+          pending: await this.getQueueLength(subAccountId)
+        });
+        // The drain lock would expire long before the window resets - let it go while waiting,
+        // the next pass takes it again (or finds another instance draining)
+        await this.releaseDrainLock(subAccountId);
+        setTimeout(() => this.processNext(subAccountId), waitMs);
+        return;
+      }
+    } catch (error) {
+      logger.error('Queue: failed to check send caps', { subAccountId, error: error.message });
+    }
 
+    const { message, priority } = next;
+
+    // The message stays at the head of its lane until it has been handled,
+    // so a crash mid-send re-sends it on the next boot rather than losing it
     try {
       const whatsappService = this.getWhatsAppService();
       await whatsappService.sendMessage(
@@ -103,34 +589,63 @@ class MessageQueueService {
         message.content,
         message.messageType,
         message.mediaUrl,
-        message.fileName
+        message.fileName,
+        { ghlMessageId: message.ghlMessageId, payload: message.payload }
       );
+      await this.shiftMessage(subAccountId, priority);
 
       logger.info(`Queue: sent message to ${message.toNumber}`, {
         subAccountId,
-        remaining: queue.length
+        priority,
+        remaining: await this.getQueueLength(subAccountId)
       });
     } catch (error) {
       message.attempts++;
-      if (message.attempts < MAX_ATTEMPTS) {
-        queue.push(message);
-        logger.warn(`Queue: send failed, re-queued (attempt ${message.attempts}/${MAX_ATTEMPTS})`, {
-          toNumber: message.toNumber,
-          error: error.message
-        });
-      } else {
-        logger.error(`Queue: message to ${message.toNumber} failed after ${MAX_ATTEMPTS} attempts`, {
-          error: error.message
+      message.attemptHistory = [
+        ...(message.attemptHistory || []),
+        { attempt: message.attempts, error: error.message, at: new Date().toISOString() }
+      ];
+      try {
+        await this.shiftMessage(subAccountId, priority);
+        if (message.attempts < MAX_ATTEMPTS) {
+          await this.pushMessage(subAccountId, message);
+          logger.warn(`Queue: send failed, re-queued (attempt ${message.attempts}/${MAX_ATTEMPTS})`, {
+            toNumber: message.toNumber,
+            error: error.message
+          });
+        } else {
+          logger.error(`Queue: message to ${message.toNumber} failed after ${MAX_ATTEMPTS} attempts`, {
+            error: error.message
+          });
+          await this.moveToDeadLetter(message, error.message);
+          // Tell GHL the message will not be delivered (async, don't wait)
+          if (message.ghlMessageId) {
+            this.reportGhlFailure(message, error.message);
+          }
+        }
+      } catch (queueError) {
+        logger.error('Queue: failed to update queue after send failure', {
+          subAccountId,
+          error: queueError.message
         });
       }
     }
 
-    // Schedule next message with 5s delay
-    if (queue.length > 0) {
-      setTimeout(() => this.processNext(subAccountId), DELAY_BETWEEN_MESSAGES);
-    } else {
-      processing.set(subAccountId, false);
+    // Schedule next message with a jittered drip delay
+    try {
+      await this.markSendAttempt(subAccountId);
+      if (await this.getQueueLength(subAccountId) > 0) {
+        setTimeout(() => this.processNext(subAccountId), this.getJitteredDelay(settings));
+        return;
+      }
+    } catch (error) {
+      logger.error('Queue: failed to schedule next message', { subAccountId, error: error.message });
+      await this.releaseDrainLock(subAccountId);
+      this.retryLater(subAccountId, settings);
+      return;
     }
+    processing.set(subAccountId, false);
+    await this.releaseDrainLock(subAccountId);
   }
 }
 
@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { WhatsAppMapping } = require('../models');
+const ghlService = require('./ghl');
+const { TTLCache } = require('../utils/ttlCache');
+const logger = require('../utils/logger');
+
+const MAX_NUMBERS = 5000;
+const CHECK_BATCH_SIZE = 50; // Numbers per onWhatsApp query
+const CHECK_BATCH_GAP_MS = 2000; // Between queries - WhatsApp rate-limits (and may flag) bulk lookups
+const GHL_TAG_GAP_MS = 500;
+const RESULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Cached checks (WhatsAppMapping.onWhatsApp) newer than this are reused
+const DEFAULT_GHL_TAG = 'whatsapp-invalid';
+const PHONE_PATTERN = /^[1-9]\d{7,14}$/;
+
+// Finished jobs and their results, kept for an hour after they finish on the instance running
+// the sub-account's socket (running jobs are held in NumberValidationService.running, never evicted)
+const jobs = new TTLCache({ name: 'numberValidationJobs', maxSize: 200, ttlMs: 60 * 60 * 1000 });
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Checks lists of numbers against WhatsApp before a campaign: in the background, in throttled
+// batches, reusing recent results cached on WhatsAppMapping. Numbers not on WhatsApp can be
+// tagged on their GHL contacts
+class NumberValidationService {
+  constructor() {
+    this.whatsappService = null;
+    this.running = new Map(); // subAccountId -> job in progress
+  }
+
+  // Lazy load to avoid circular dependency
+  getWhatsAppService() {
+    if (!this.whatsappService) {
+      this.whatsappService = require('./whatsapp');
+    }
+    return this.whatsappService;
+  }
+
+  // Validate a request body ({ numbers, refresh, tagGhl, ghlTag }) - returns { options } or { error }
+  parseRequest(body = {}) {
+    const { numbers, refresh = false, tagGhl = false, ghlTag } = body;
+    if (!Array.isArray(numbers) || numbers.length === 0 || numbers.length > MAX_NUMBERS) {
+      return { error: `numbers must be an array of 1-${MAX_NUMBERS} phone numbers` };
+    }
+    if (typeof refresh !== 'boolean' || typeof tagGhl !== 'boolean') {
+      return { error: 'refresh and tagGhl must be booleans' };
+    }
+    if (ghlTag !== undefined && (typeof ghlTag !== 'string' || !ghlTag.trim() || ghlTag.length > 100)) {
+      return { error: 'ghlTag must be a non-empty string of at most 100 characters' };
+    }
+    return { options: { numbers, refresh, ghlTag: tagGhl ? (ghlTag?.trim() || DEFAULT_GHL_TAG) : null } };
+  }
+
+  // Only one job runs per sub-account at a time
+  isRunning(subAccountId) {
+    return this.running.has(subAccountId);
+  }
+
+  // Start a job for a sub-account; the checks run in the background
+  start(subAccount, { numbers, refresh, ghlTag }) {
+    // One result per distinct number, in the order given; malformed entries are reported, not checked
+    const results = [];
+    const seen = new Set();
+    for (const input of numbers) {
+      const phoneNumber = String(input ?? '').replace(/\D/g, '');
+      if (seen.has(phoneNumber)) continue;
+      seen.add(phoneNumber);
+      results.push({
+        input: String(input ?? ''),
+        phoneNumber,
+        exists: null,
+        jid: null,
+        lid: null,
+        cached: false,
+        checkedAt: null,
+        ...(ghlTag && { ghlTagged: false }),
+        error: PHONE_PATTERN.test(phoneNumber) ? null : 'Invalid phone number'
+      });
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      subAccountId: subAccount.id,
+      status: 'running',
+      total: results.length,
+      checked: 0,
+      cached: 0,
+      onWhatsApp: 0,
+      notOnWhatsApp: 0,
+      invalid: results.filter(result => result.error).length,
+      ghl: ghlTag ? { tag: ghlTag, tagged: 0, notFound: 0, failed: 0 } : null,
+      error: null,
+      createdAt: new Date(),
+      finishedAt: null,
+      results
+    };
+    this.running.set(subAccount.id, job);
+
+    this.run(job, subAccount, refresh);
+    return job;
+  }
+
+  async run(job, subAccount, refresh) {
+    try {
+      const pending = job.results.filter(result => !result.error);
+
+      if (!refresh) {
+        await this.applyCached(job, pending);
+      }
+
+      const batches = chunk(pending.filter(result => result.exists === null), CHECK_BATCH_SIZE);
+      for (const [index, batch] of batches.entries()) {
+        if (index > 0) await new Promise(resolve => setTimeout(resolve, CHECK_BATCH_GAP_MS));
+        await this.checkBatch(job, batch);
+      }
+
+      if (job.ghl) {
+        await this.tagInGhl(job, subAccount);
+      }
+
+      job.status = 'completed';
+      logger.info(`Number validation ${job.id} for ${job.subAccountId}: ${job.onWhatsApp} on WhatsApp, ${job.notOnWhatsApp} not, ${job.invalid} invalid`);
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error(`Number validation ${job.id} failed for ${job.subAccountId}:`, error.message);
+    } finally {
+      job.finishedAt = new Date();
+      jobs.set(job.id, job);
+      this.running.delete(job.subAccountId);
+    }
+  }
+
+  // Fill in results checked within RESULT_MAX_AGE_MS
+  async applyCached(job, results) {
+    const byNumber = new Map(results.map(result => [result.phoneNumber, result]));
+
+    for (const numbers of chunk([...byNumber.keys()], 500)) {
+      const mappings = await WhatsAppMapping.findAll({
+        where: {
+          subAccountId: job.subAccountId,
+          phoneNumber: { [Op.in]: numbers },
+          onWhatsApp: { [Op.ne]: null },
+          whatsappCheckedAt: { [Op.gte]: new Date(Date.now() - RESULT_MAX_AGE_MS) }
+        },
+        attributes: ['phoneNumber', 'whatsappId', 'onWhatsApp', 'whatsappCheckedAt']
+      });
+
+      for (const mapping of mappings) {
+        const result = byNumber.get(mapping.phoneNumber);
+        result.exists = mapping.onWhatsApp;
+        result.jid = mapping.onWhatsApp ? `${mapping.phoneNumber}@s.whatsapp.net` : null;
+        result.lid = mapping.onWhatsApp && mapping.whatsappId && mapping.whatsappId !== mapping.phoneNumber
+          ? `${mapping.whatsappId}@lid`
+          : null;
+        result.cached = true;
+        result.checkedAt = mapping.whatsappCheckedAt;
+        this.count(job, result);
+        job.cached++;
+      }
+    }
+  }
+
+  // One onWhatsApp query, stored on WhatsAppMapping for later jobs and sends
+  async checkBatch(job, batch) {
+    const { subAccountId } = job;
+    const numbers = batch.map(result => result.phoneNumber);
+    const checked = await this.getWhatsAppService().checkNumbers(subAccountId, numbers);
+    const checkedAt = new Date();
+
+    const mappings = await WhatsAppMapping.findAll({
+      where: { subAccountId, phoneNumber: { [Op.in]: numbers } }
+    });
+    const byNumber = new Map(mappings.map(mapping => [mapping.phoneNumber, mapping]));
+    const newMappings = [];
+
+    for (const result of batch) {
+      const { exists, jid, lid } = checked.get(result.phoneNumber);
+      Object.assign(result, { exists, jid, lid, checkedAt });
+      this.count(job, result);
+
+      const whatsappId = lid ? lid.split('@')[0] : null;
+      const mapping = byNumber.get(result.phoneNumber);
+      try {
+        if (mapping) {
+          // A known LID is never cleared here
+          await mapping.update({
+            onWhatsApp: exists,
+            whatsappCheckedAt: checkedAt,
+            ...(whatsappId && !mapping.whatsappId && { whatsappId })
+          });
+        } else {
+          newMappings.push({
+            subAccountId,
+            phoneNumber: result.phoneNumber,
+            whatsappId,
+            onWhatsApp: exists,
+            whatsappCheckedAt: checkedAt,
+            // A check is not activity - recent unmapped numbers are matched to incoming LIDs
+            lastActivityAt: null
+          });
+        }
+      } catch (error) {
+        logger.warn('Failed to cache number validation result:', { phoneNumber: result.phoneNumber, error: error.message });
+      }
+    }
+
+    if (newMappings.length) {
+      await WhatsAppMapping.bulkCreate(newMappings, { ignoreDuplicates: true })
+        .catch(error => logger.warn('Failed to cache number validation results:', { subAccountId, error: error.message }));
+    }
+  }
+
+  count(job, result) {
+    job.checked++;
+    if (result.exists) job.onWhatsApp++;
+    else job.notOnWhatsApp++;
+  }
+
+  // Tag the GHL contacts of numbers that are not on WhatsApp
+  async tagInGhl(job, subAccount) {
+    for (const result of job.results.filter(item => item.exists === false)) {
+      try {
+        // Lookup errors count as failed, not as a missing contact
+        const contact = await ghlService.getContactByPhone(subAccount, subAccount.ghlLocationId, result.phoneNumber, null, { throwOnError: true });
+        if (!contact) {
+          job.ghl.notFound++;
+        } else {
+          await ghlService.addContactTags(subAccount, contact.id, [job.ghl.tag]);
+          result.ghlTagged = true;
+          job.ghl.tagged++;
+        }
+      } catch (error) {
+        job.ghl.failed++;
+        logger.warn('Failed to tag GHL contact for invalid number:', { phoneNumber: result.phoneNumber, error: error.message });
+      }
+      await new Promise(resolve => setTimeout(resolve, GHL_TAG_GAP_MS));
+    }
+  }
+
+  getJob(subAccountId, jobId) {
+    const running = this.running.get(subAccountId);
+    const job = running?.id === jobId ? running : jobs.get(jobId);
+    return job?.subAccountId === subAccountId ? job : null;
+  }
+
+  toCsv(job) {
+    const columns = ['input', 'phoneNumber', 'exists', 'jid', 'lid', 'cached', 'checkedAt', ...(job.ghl ? ['ghlTagged'] : []), 'error'];
+    const rows = job.results.map(result => columns.map(column => {
+      const value = result[column];
+      return csvValue(value instanceof Date ? value.toISOString() : value);
+    }).join(','));
+    return [columns.join(','), ...rows].join('\n');
+  }
+}
+
+module.exports = new NumberValidationService();
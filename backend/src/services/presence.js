@@ -0,0 +1,117 @@
+const { Op } = require('sequelize');
+const { WhatsAppMapping } = require('../models');
+const webhookService = require('./webhook');
+const { TTLCache } = require('../utils/ttlCache');
+const logger = require('../utils/logger');
+
+const RESUBSCRIBE_GAP_MS = 500; // Between presence subscriptions renewed after a reconnect
+
+// Last known presence per contact - Key: "subAccountId:phoneNumber" -> { presence, lastSeen, updatedAt }
+// Kept in memory on the instance running the socket; WhatsApp resends it after a resubscribe
+const lastPresence = new TTLCache({ name: 'contactPresence', maxSize: 20000, ttlMs: 24 * 60 * 60 * 1000 });
+
+// Contact presence (available, unavailable, composing, recording, paused) from WhatsApp,
+// for contacts subscribed to through the API (WhatsAppMapping.presenceSubscribedAt)
+// and chats WhatsApp sends it for anyway. Changes fire presence.update webhooks
+class PresenceService {
+  constructor() {
+    this.whatsappService = null;
+  }
+
+  // Lazy load to avoid circular dependency
+  getWhatsAppService() {
+    if (!this.whatsappService) {
+      this.whatsappService = require('./whatsapp');
+    }
+    return this.whatsappService;
+  }
+
+  // Baileys presence.update - { id: chat JID, presences: { participantJid: { lastKnownPresence, lastSeen } } }
+  async handlePresenceUpdate(subAccountId, { id, presences = {} }) {
+    // Typing in groups is not tracked
+    if (!id || id.endsWith('@g.us')) return;
+
+    try {
+      for (const [participantJid, data] of Object.entries(presences)) {
+        const contact = await this.getWhatsAppService().resolveParticipant(subAccountId, participantJid);
+        const key = `${subAccountId}:${contact.number}`;
+        const previous = lastPresence.get(key);
+        const current = {
+          presence: data.lastKnownPresence,
+          // Only shared by contacts whose privacy settings allow it
+          lastSeen: data.lastSeen ? new Date(data.lastSeen * 1000) : (previous?.lastSeen || null),
+          updatedAt: new Date()
+        };
+        lastPresence.set(key, current);
+
+        if (previous?.presence === current.presence) continue;
+
+        await webhookService.trigger(subAccountId, 'presence.update', {
+          from: contact.number,
+          isLID: contact.isLID,
+          presence: current.presence,
+          lastSeen: current.lastSeen,
+          timestamp: current.updatedAt.toISOString()
+        });
+      }
+    } catch (error) {
+      logger.error(`Handle presence update error for ${subAccountId}:`, error);
+    }
+  }
+
+  // Last known presence of a contact, and whether it is subscribed to
+  async getPresence(subAccountId, phoneNumber) {
+    const mapping = await WhatsAppMapping.findOne({
+      where: { subAccountId, phoneNumber },
+      attributes: ['presenceSubscribedAt']
+    });
+    const current = lastPresence.get(`${subAccountId}:${phoneNumber}`);
+
+    return {
+      phoneNumber,
+      presence: current?.presence || null,
+      lastSeen: current?.lastSeen || null,
+      updatedAt: current?.updatedAt || null,
+      subscribed: !!mapping?.presenceSubscribedAt
+    };
+  }
+
+  async subscribe(subAccountId, phoneNumber) {
+    await this.getWhatsAppService().subscribePresence(subAccountId, phoneNumber);
+
+    // A subscription is not activity - recent unmapped numbers are matched to incoming LIDs
+    const [mapping] = await WhatsAppMapping.findOrCreate({
+      where: { subAccountId, phoneNumber },
+      defaults: { lastActivityAt: null }
+    });
+    await mapping.update({ presenceSubscribedAt: new Date() });
+  }
+
+  // WhatsApp has no unsubscribe - the subscription is just not renewed after the next reconnect
+  async unsubscribe(subAccountId, phoneNumber) {
+    await WhatsAppMapping.update({ presenceSubscribedAt: null }, { where: { subAccountId, phoneNumber } });
+  }
+
+  // Renew every subscription of a sub-account (called when its socket opens)
+  async resubscribeAll(subAccountId) {
+    const mappings = await WhatsAppMapping.findAll({
+      where: { subAccountId, presenceSubscribedAt: { [Op.ne]: null } },
+      attributes: ['phoneNumber']
+    });
+    if (mappings.length === 0) return;
+
+    let renewed = 0;
+    for (const { phoneNumber } of mappings) {
+      try {
+        await this.getWhatsAppService().subscribePresence(subAccountId, phoneNumber);
+        renewed++;
+      } catch (error) {
+        logger.warn('Presence resubscribe failed:', { subAccountId, phoneNumber, error: error.message });
+      }
+      await new Promise(resolve => setTimeout(resolve, RESUBSCRIBE_GAP_MS));
+    }
+    logger.info(`Renewed ${renewed} of ${mappings.length} presence subscription(s) for ${subAccountId}`);
+  }
+}
+
+module.exports = new PresenceService();
@@ -0,0 +1,309 @@
+const os = require('os');
+const crypto = require('crypto');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { SubAccount } = require('../models');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Running several backend instances: each sub-account's WhatsApp socket lives on exactly
+// one instance, which holds a Redis lease for it. Requests for that sub-account that land on
+// another instance are forwarded to the owner. Without Redis everything is handled locally.
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+// Internal base URL other instances use to reach this one, e.g. http://10.0.0.5:3000
+const INSTANCE_URL = process.env.INSTANCE_URL || null;
+
+const LEASE_TTL_MS = 30000;
+const RENEW_INTERVAL_MS = 10000;
+const FAILOVER_INTERVAL_MS = 15000;
+const FAILOVER_BATCH_SIZE = 5; // Orphaned sessions picked up per failover tick
+const FORWARD_TIMEOUT_MS = 60000;
+
+const OWNER_KEY_PREFIX = 'ghlwa:owner:';
+const INSTANCE_KEY_PREFIX = 'ghlwa:instance:';
+const REVOKED_KEY_PREFIX = 'ghlwa:revoked:'; // Set when a session is disconnected from a non-owning instance
+const WAKE_CHANNEL = 'ghlwa:queue-wake'; // Pub/sub: "this sub-account has new queued messages"
+const FORWARDED_HEADER = 'x-ghlwa-forwarded-by';
+
+// Only extend/delete a lease while we still hold it
+const RENEW_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+function defaultSubAccountId(req) {
+  return req.params.subAccountId ||
+    (req.authType === 'subAccount' ? req.subAccount?.id : null) ||
+    req.body?.subAccountId ||
+    req.query?.subAccountId;
+}
+
+class SessionOwnershipService {
+  constructor() {
+    this.owned = new Set();
+    this.renewInterval = null;
+    this.failoverInterval = null;
+    this.handlers = { onLost: null, onOrphaned: null, onWake: null };
+    this.subscriber = null;
+  }
+
+  getInstanceId() {
+    return INSTANCE_ID;
+  }
+
+  // Redis client if connected, otherwise null (single-instance mode)
+  getRedis() {
+    const client = getRedisClient();
+    return client?.isReady ? client : null;
+  }
+
+  isOwnedLocally(subAccountId) {
+    return !this.getRedis() || this.owned.has(subAccountId);
+  }
+
+  // Take (or confirm) the lease for a sub-account; false when another instance holds it
+  async acquire(subAccountId) {
+    const redis = this.getRedis();
+    if (!redis) {
+      this.owned.add(subAccountId);
+      return true;
+    }
+
+    const key = `${OWNER_KEY_PREFIX}${subAccountId}`;
+    const result = await redis.set(key, INSTANCE_ID, { NX: true, PX: LEASE_TTL_MS });
+    if (result === 'OK' || await redis.get(key) === INSTANCE_ID) {
+      await redis.pExpire(key, LEASE_TTL_MS);
+      this.owned.add(subAccountId);
+      return true;
+    }
+    return false;
+  }
+
+  async release(subAccountId) {
+    this.owned.delete(subAccountId);
+    const redis = this.getRedis();
+    if (!redis) return;
+
+    try {
+      await redis.eval(RELEASE_SCRIPT, {
+        keys: [`${OWNER_KEY_PREFIX}${subAccountId}`],
+        arguments: [INSTANCE_ID]
+      });
+    } catch (error) {
+      logger.warn('Failed to release session lease:', { subAccountId, error: error.message });
+    }
+  }
+
+  // Take the lease away from whichever instance holds it (disconnect requested elsewhere)
+  // The owner notices on its next renewal, logs the session out and drops the socket
+  async revoke(subAccountId) {
+    this.owned.delete(subAccountId);
+    const redis = this.getRedis();
+    if (!redis) return;
+
+    await redis.set(`${REVOKED_KEY_PREFIX}${subAccountId}`, '1', { PX: LEASE_TTL_MS });
+    await redis.del(`${OWNER_KEY_PREFIX}${subAccountId}`);
+  }
+
+  async getOwner(subAccountId) {
+    const redis = this.getRedis();
+    if (!redis) return INSTANCE_ID;
+    return redis.get(`${OWNER_KEY_PREFIX}${subAccountId}`);
+  }
+
+  // Base URL of the instance holding the sub-account, or null when it should be handled here
+  // (no Redis, no owner, we own it, or the owner did not register a URL)
+  async getOwnerUrl(subAccountId) {
+    const redis = this.getRedis();
+    if (!redis) return null;
+
+    const owner = await this.getOwner(subAccountId);
+    if (!owner || owner === INSTANCE_ID) return null;
+
+    const raw = await redis.get(`${INSTANCE_KEY_PREFIX}${owner}`);
+    const instance = raw ? JSON.parse(raw) : null;
+    if (!instance?.url) {
+      logger.warn('Session owner has no reachable URL, handling locally:', { subAccountId, owner });
+      return null;
+    }
+    return instance.url;
+  }
+
+  // Ask the owning instance to drain a sub-account's queue (queues live in Redis, sends happen on the owner)
+  async wake(subAccountId) {
+    const redis = this.getRedis();
+    if (!redis) return;
+
+    try {
+      await redis.publish(WAKE_CHANNEL, subAccountId);
+    } catch (error) {
+      logger.warn('Failed to publish queue wake-up:', { subAccountId, error: error.message });
+    }
+  }
+
+  // Express middleware: forward requests for sub-accounts owned by another instance
+  // resolveSubAccountId(req) may be async; by default the ID comes from the route params,
+  // the authenticated sub-account (API key), the body or the query - so run it after authentication
+  routeToOwner(resolveSubAccountId = defaultSubAccountId) {
+    return async (req, res, next) => {
+      // Already forwarded once - never bounce between instances
+      if (req.headers[FORWARDED_HEADER]) return next();
+
+      let ownerUrl;
+      let subAccountId;
+      try {
+        subAccountId = await resolveSubAccountId(req);
+        if (!subAccountId) return next();
+        ownerUrl = await this.getOwnerUrl(subAccountId);
+      } catch (error) {
+        logger.warn('Session owner lookup failed, handling locally:', { subAccountId, error: error.message });
+        return next();
+      }
+      if (!ownerUrl) return next();
+
+      try {
+        const response = await axios({
+          method: req.method,
+          url: `${ownerUrl}${req.originalUrl}`,
+          data: ['GET', 'HEAD'].includes(req.method) ? undefined : req.body,
+          headers: {
+            ...(req.headers.authorization && { authorization: req.headers.authorization }),
+            ...(req.headers['x-api-key'] && { 'x-api-key': req.headers['x-api-key'] }),
+            'content-type': 'application/json',
+            [FORWARDED_HEADER]: INSTANCE_ID
+          },
+          // Raw body so HTML pages and images (embed QR) pass through as well as JSON
+          responseType: 'arraybuffer',
+          timeout: FORWARD_TIMEOUT_MS,
+          validateStatus: () => true
+        });
+
+        for (const header of ['content-type', 'cache-control', 'content-disposition']) {
+          if (response.headers[header]) res.set(header, response.headers[header]);
+        }
+        res.status(response.status).send(Buffer.from(response.data));
+      } catch (error) {
+        logger.error('Failed to forward request to session owner:', { subAccountId, ownerUrl, error: error.message });
+        res.status(502).json({ error: 'WhatsApp session is hosted on another instance that could not be reached' });
+      }
+    };
+  }
+
+  // Advertise this instance so others can forward requests to it
+  async heartbeat(redis) {
+    await redis.set(`${INSTANCE_KEY_PREFIX}${INSTANCE_ID}`, JSON.stringify({
+      url: INSTANCE_URL,
+      startedAt: this.startedAt,
+      sessions: this.owned.size
+    }), { PX: LEASE_TTL_MS });
+  }
+
+  // Extend every lease we hold; a lease we lost (e.g. after a long pause) is handed to onLost
+  async renewAll() {
+    const redis = this.getRedis();
+    if (!redis) return;
+
+    try {
+      await this.heartbeat(redis);
+      for (const subAccountId of [...this.owned]) {
+        const renewed = await redis.eval(RENEW_SCRIPT, {
+          keys: [`${OWNER_KEY_PREFIX}${subAccountId}`],
+          arguments: [INSTANCE_ID, String(LEASE_TTL_MS)]
+        });
+        if (!renewed) {
+          this.owned.delete(subAccountId);
+          const revoked = await redis.exists(`${REVOKED_KEY_PREFIX}${subAccountId}`);
+          logger.warn(`Lost session lease for ${subAccountId}${revoked ? ' (disconnected from another instance)' : ''}`);
+          this.handlers.onLost?.(subAccountId, { logout: !!revoked });
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to renew session leases:', error.message);
+    }
+  }
+
+  // Pick up sessions whose owner died (lease expired) - any instance may claim them
+  async failover() {
+    const redis = this.getRedis();
+    if (!redis || !this.handlers.onOrphaned) return;
+
+    try {
+      const subAccounts = await SubAccount.findAll({
+        where: { isActive: true, status: 'connected', sessionData: { [Op.ne]: null } },
+        attributes: ['id']
+      });
+
+      let claimed = 0;
+      for (const { id } of subAccounts) {
+        if (claimed >= FAILOVER_BATCH_SIZE) break;
+        if (this.owned.has(id)) continue;
+        if (await redis.exists(`${OWNER_KEY_PREFIX}${id}`)) continue;
+        if (await redis.exists(`${REVOKED_KEY_PREFIX}${id}`)) continue;
+
+        if (await this.acquire(id)) {
+          claimed++;
+          logger.info(`Taking over orphaned WhatsApp session ${id}`);
+          this.handlers.onOrphaned(id);
+        }
+      }
+    } catch (error) {
+      logger.error('Session failover check failed:', error.message);
+    }
+  }
+
+  // Start lease renewal, failover checks and queue wake-ups
+  // onLost(subAccountId, { logout }) - drop the local socket
+  // onOrphaned(subAccountId) - connect the session on this instance
+  // onWake(subAccountId) - drain the queue of a session owned here
+  async start({ onLost, onOrphaned, onWake }) {
+    if (this.renewInterval) return;
+
+    this.handlers = { onLost, onOrphaned, onWake };
+    this.startedAt = new Date().toISOString();
+
+    if (!this.getRedis()) {
+      logger.info('Session ownership: Redis not available, running as a single instance');
+      return;
+    }
+    if (!INSTANCE_URL) {
+      logger.warn('INSTANCE_URL is not set - requests for sessions owned by this instance cannot be forwarded to it');
+    }
+
+    // Pub/sub needs a dedicated connection
+    try {
+      this.subscriber = this.getRedis().duplicate();
+      await this.subscriber.connect();
+      await this.subscriber.subscribe(WAKE_CHANNEL, (subAccountId) => {
+        if (this.owned.has(subAccountId)) this.handlers.onWake?.(subAccountId);
+      });
+    } catch (error) {
+      logger.error('Failed to subscribe to queue wake-ups:', error.message);
+    }
+
+    this.renewAll();
+    this.renewInterval = setInterval(() => this.renewAll(), RENEW_INTERVAL_MS);
+    this.failoverInterval = setInterval(() => this.failover(), FAILOVER_INTERVAL_MS);
+    logger.info(`Session ownership started for instance ${INSTANCE_ID}`);
+  }
+
+  // Stop renewing and hand every session back (graceful shutdown)
+  async stop() {
+    clearInterval(this.renewInterval);
+    clearInterval(this.failoverInterval);
+    this.renewInterval = null;
+    this.failoverInterval = null;
+
+    if (this.subscriber) {
+      await this.subscriber.quit().catch(() => {});
+      this.subscriber = null;
+    }
+
+    for (const subAccountId of [...this.owned]) {
+      await this.release(subAccountId);
+    }
+    const redis = this.getRedis();
+    if (redis) {
+      await redis.del(`${INSTANCE_KEY_PREFIX}${INSTANCE_ID}`).catch(() => {});
+    }
+  }
+}
+
+module.exports = new SessionOwnershipService();
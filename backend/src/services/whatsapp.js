@@ -1,40 +1,142 @@
 const { Boom } = require('@hapi/boom');
 const QRCode = require('qrcode');
-const path = require('path');
-const fs = require('fs');
+const crypto = require('crypto');
 const { SubAccount, Message, Customer, WhatsAppMapping } = require('../models');
 const webhookService = require('./webhook');
 const ghlService = require('./ghl');
 const messageQueue = require('./messageQueue');
 const emailService = require('./email');
+const mediaStore = require('./mediaStore');
+const authState = require('./authState');
+const sessionOwnership = require('./sessionOwnership');
+const connectionEvents = require('./connectionEvents');
+const historyBackfill = require('./historyBackfill');
+const contactProfiles = require('./contactProfiles');
+const callService = require('./calls');
+const presenceService = require('./presence');
 const logger = require('../utils/logger');
+const { parseVCard, buildVCard } = require('../utils/vcard');
+const { TTLCache } = require('../utils/ttlCache');
 
 // Baileys will be loaded dynamically
-let makeWASocket, DisconnectReason, useMultiFileAuthState, fetchLatestBaileysVersion, makeCacheableSignalKeyStore;
+let makeWASocket, DisconnectReason, fetchLatestBaileysVersion, makeCacheableSignalKeyStore, downloadMediaMessage;
 
 // Store active connections
+// With several instances each socket lives on the instance holding its lease (see sessionOwnership)
 const connections = new Map();
 const qrCodes = new Map();  // Stores { qrCode, timestamp } for each subAccountId
 
+// Pairing-code login (link by phone number instead of scanning the QR code)
+// pairingRequests: subAccountId -> { phoneNumber, socket } (socket the current code was requested on)
+// pairingCodes: subAccountId -> { code, phoneNumber, timestamp }
+const pairingRequests = new Map();
+const pairingCodes = new Map();
+const PAIRING_CODE_WAIT_MS = 20000; // How long connect requests wait for the code before returning
+
+// Liveness per socket for the connection watchdog - socket -> { startedAt, lastEventAt }
+const socketActivity = new WeakMap();
+const KEEPALIVE_TIMEOUT_MS = 15000;
+const WATCHDOG_CLOSE_GRACE_MS = 5000; // Time for a force-closed socket to report its close
+
 // Message retry counter cache - tracks retry attempts per message
 // This is CRITICAL for handling decryption failures (Bad MAC errors)
-const msgRetryCounterCache = new Map();
+const msgRetryCounterCache = new TTLCache({ name: 'msgRetryCounter', maxSize: 10000, ttlMs: 10 * 60 * 1000 });
 
 // Track phones with pending sends from our sendMessage function
 // Marked BEFORE socket.sendMessage so messages.upsert handler can detect GHL-originated outbound
 // Key: "subAccountId:phone" -> timestamp
-const pendingSends = new Map();
 const PENDING_SEND_TTL_MS = 10000; // 10 seconds (messages.upsert fires within ~3s)
+const pendingSends = new TTLCache({ name: 'pendingSends', maxSize: 10000, ttlMs: PENDING_SEND_TTL_MS });
 
 // In-memory message store for getMessage callback
-// Stores recent messages so Baileys can retry decryption
-const messageStore = new Map();
-
-const SESSION_PATH = process.env.SESSION_PATH || './sessions';
+// Stores recent messages so Baileys can retry decryption (older ones are loaded from the database)
+// Shared by all sub-accounts - bounded so a high-volume number cannot grow it without limit
+const MESSAGE_STORE_MAX_SIZE = parseInt(process.env.MESSAGE_CACHE_MAX_ENTRIES, 10) || 5000;
+const messageStore = new TTLCache({ name: 'messageStore', maxSize: MESSAGE_STORE_MAX_SIZE, ttlMs: 10 * 60 * 1000 });
+
+// Group metadata (subject, participants) cache - refetched after 5 minutes, when WhatsApp
+// reports a group change, or after the session drops
+// Key: "subAccountId:groupJid" -> metadata
+const groupMetadataCache = new TTLCache({ name: 'groupMetadata', maxSize: 5000, ttlMs: 5 * 60 * 1000 });
+
+// proto.Message.ProtocolMessage.Type values for edits and "delete for everyone"
+const PROTOCOL_REVOKE = 0;
+const PROTOCOL_MESSAGE_EDIT = 14;
+
+// WhatsApp ack levels (proto.WebMessageInfo.Status) mapped to Message.status
+// PLAYED (voice notes/videos) is stored as 'read' but kept distinct in the status history
+const ACK_STATUSES = {
+  0: { ack: 'error', status: 'failed' },
+  2: { ack: 'server_ack', status: 'sent' },
+  3: { ack: 'delivered', status: 'delivered' },
+  4: { ack: 'read', status: 'read' },
+  5: { ack: 'played', status: 'read' }
+};
+// Receipts can arrive out of order - never move a message backwards
+const STATUS_RANK = { pending: 0, failed: 0, sent: 1, delivered: 2, read: 3 };
+// Statuses reported back to GHL for messages it sent through us
+const GHL_REPORTED_STATUSES = ['delivered', 'read', 'failed'];
+// Receipts that arrive before the sent message is stored (the server ack often beats Message.create),
+// applied once it is - Key: "subAccountId:messageId" -> [{ ackLevel, participant }]
+const earlyReceipts = new TTLCache({ name: 'earlyReceipts', maxSize: 10000, ttlMs: 60 * 1000 });
+
+// Reconnect policy: exponential backoff with jitter, then give up (status 'error')
+const RECONNECT_BASE_DELAY_MS = 2000;
+const RECONNECT_MAX_DELAY_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_RECONNECT_ATTEMPTS = 10;
+
+// Session restore on boot - a few sockets log in at a time, started a little apart
+const RESTORE_CONCURRENCY = parseInt(process.env.SESSION_RESTORE_CONCURRENCY, 10) || 5;
+const RESTORE_STAGGER_MS = 500;
+const RESTORE_OPEN_TIMEOUT_MS = 45000; // Stop waiting (the session keeps reconnecting on its own)
+let restoreProgress = null;
+// Pending reconnects - Key: subAccountId -> { attempts, timer }
+const reconnectState = new Map();
+
+// Shown to the customer (webhook/email) when reconnecting stops
+const DISCONNECT_MESSAGES = {
+  connection_replaced: 'This WhatsApp session was opened on another device or server, which replaced this connection',
+  forbidden: 'WhatsApp refused the connection - the number may be banned or restricted',
+  multidevice_mismatch: 'WhatsApp reported a multi-device mismatch - please scan the QR code again',
+  max_reconnect_attempts: 'WhatsApp could not be reached after repeated reconnect attempts',
+  session_undecryptable: 'The stored WhatsApp session cannot be decrypted - check SESSION_ENCRYPTION_KEY, or disconnect and scan the QR code again'
+};
+
+// Classify a close reason (Boom status code) into what to do about it
+// action: 'logout' (session ended by the user), 'restart' (reconnect now), 'backoff' (retry with delay),
+// 'stop' (don't retry - reconnecting would fail again or fight another session)
+function getDisconnectPolicy(statusCode) {
+  switch (statusCode) {
+    case DisconnectReason.loggedOut:
+      return { reason: 'logged_out', action: 'logout' };
+    case DisconnectReason.restartRequired:
+      // Expected right after pairing
+      return { reason: 'restart_required', action: 'restart' };
+    case DisconnectReason.connectionReplaced:
+      return { reason: 'connection_replaced', action: 'stop' };
+    case DisconnectReason.forbidden:
+      return { reason: 'forbidden', action: 'stop' };
+    case DisconnectReason.badSession:
+      // Code 500 is also Baileys' fallback for unknown stream errors - usually transient,
+      // so the stored credentials are kept (repeated failures end at max_reconnect_attempts)
+      return { reason: 'bad_session', action: 'backoff' };
+    case DisconnectReason.multideviceMismatch:
+      return { reason: 'multidevice_mismatch', action: 'stop', clearSession: true };
+    case DisconnectReason.connectionLost: // Also timedOut (same code)
+      return { reason: 'connection_lost', action: 'backoff' };
+    case DisconnectReason.connectionClosed:
+      return { reason: 'connection_closed', action: 'backoff' };
+    case DisconnectReason.unavailableService:
+      return { reason: 'service_unavailable', action: 'backoff' };
+    default:
+      return { reason: 'unknown', action: 'backoff' };
+  }
+}
 
-// Ensure sessions directory exists
-if (!fs.existsSync(SESSION_PATH)) {
-  fs.mkdirSync(SESSION_PATH, { recursive: true });
+// Delay before reconnect attempt n (1-based): half fixed, half random so sessions don't retry in lockstep
+function getBackoffDelay(attempt) {
+  const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
 }
 
 // Initialize Baileys (ESM module)
@@ -44,9 +146,9 @@ async function initBaileys() {
     // Handle different export structures - direct export takes priority
     makeWASocket = baileys.makeWASocket || baileys.default?.makeWASocket;
     DisconnectReason = baileys.DisconnectReason || baileys.default?.DisconnectReason;
-    useMultiFileAuthState = baileys.useMultiFileAuthState || baileys.default?.useMultiFileAuthState;
     fetchLatestBaileysVersion = baileys.fetchLatestBaileysVersion || baileys.default?.fetchLatestBaileysVersion;
     makeCacheableSignalKeyStore = baileys.makeCacheableSignalKeyStore || baileys.default?.makeCacheableSignalKeyStore;
+    downloadMediaMessage = baileys.downloadMediaMessage || baileys.default?.downloadMediaMessage;
   }
 }
 
@@ -56,11 +158,6 @@ function storeMessage(subAccountId, msg) {
 
   const storeKey = `${subAccountId}:${msg.key.remoteJid}:${msg.key.id}`;
   messageStore.set(storeKey, msg);
-
-  // Clean up old messages after 10 minutes to prevent memory leak
-  setTimeout(() => {
-    messageStore.delete(storeKey);
-  }, 10 * 60 * 1000);
 }
 
 // Helper to get message from store (for retry mechanism)
@@ -70,9 +167,83 @@ function getStoredMessage(subAccountId, key) {
   return msg?.message || undefined;
 }
 
+// Messages stored as JSON lose their byte arrays; poll votes can only be decrypted
+// with the poll's messageSecret, so turn it back into a Buffer
+function reviveMessageSecret(message) {
+  const secret = message?.messageContextInfo?.messageSecret;
+  if (!secret || secret instanceof Uint8Array) return message;
+
+  let bytes = null;
+  if (typeof secret === 'string') {
+    bytes = Buffer.from(secret, 'base64');
+  } else if (secret.type === 'Buffer' && Array.isArray(secret.data)) {
+    bytes = Buffer.from(secret.data);
+  } else if (typeof secret === 'object') {
+    bytes = Buffer.from(Object.values(secret));
+  }
+  return { ...message, messageContextInfo: { ...message.messageContextInfo, messageSecret: bytes } };
+}
+
+// Short preview of a message for quoted replies
+function getSnippet(content, length = 100) {
+  if (!content) return null;
+  return content.length > length ? `${content.slice(0, length)}...` : content;
+}
+
+// Readable renderings of rich messages, used as Message.content and for GHL sync
+function getMapsUrl(latitude, longitude) {
+  return `https://www.google.com/maps?q=${latitude},${longitude}`;
+}
+
+function formatLocationContent({ latitude, longitude, name, address, isLive }) {
+  const label = [name, address].filter(Boolean).join(', ');
+  return `[${isLive ? 'Live location' : 'Location'}]${label ? ` ${label}` : ''}\n${getMapsUrl(latitude, longitude)}`;
+}
+
+// e.g. "[Contact] John Doe: +44 7700 900123, john@example.com"
+function formatContactsContent(contacts) {
+  return contacts.map(contact => {
+    const reachableAt = [...contact.phones.map(p => p.number), ...contact.emails.map(e => e.address)];
+    return `[Contact] ${contact.displayName || 'Unknown'}${reachableAt.length ? `: ${reachableAt.join(', ')}` : ''}`;
+  }).join('\n') || '[Contact]';
+}
+
+function formatPollContent(name, options) {
+  return `[Poll] ${name || ''}\n${options.map((option, i) => `${i + 1}. ${option}`).join('\n')}`;
+}
+
+// Simulated typing before a send (payload.typing): scales with the text length, within bounds
+const TYPING_MS_PER_CHAR = 50;
+const TYPING_MIN_MS = 1000;
+const TYPING_MAX_MS = 8000;
+
+// Voice notes only render as push-to-talk when sent as OGG/Opus
+const PTT_MIMETYPE = 'audio/ogg; codecs=opus';
+const AUDIO_MIMETYPES = {
+  ogg: PTT_MIMETYPE,
+  opus: PTT_MIMETYPE,
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  wav: 'audio/wav',
+  amr: 'audio/amr'
+};
+
 class WhatsAppService {
   // Initialize connection for a sub-account
-  async connect(subAccountId) {
+  // options.isReconnect - automatic retry (keeps the backoff counter); anything else starts afresh
+  // options.phoneNumber - link with a pairing code for this number instead of a QR code
+  async connect(subAccountId, { isReconnect = false, phoneNumber = null } = {}) {
+    if (!isReconnect) {
+      this.resetReconnect(subAccountId);
+      pairingCodes.delete(subAccountId);
+      if (phoneNumber) {
+        pairingRequests.set(subAccountId, { phoneNumber: phoneNumber.replace(/\D/g, ''), socket: null });
+      } else {
+        pairingRequests.delete(subAccountId);
+      }
+    }
+
     try {
       // Ensure Baileys is loaded
       await initBaileys();
@@ -92,10 +263,32 @@ class WhatsAppService {
         if (existingSocket.user) {
           return { status: 'already_connected', phoneNumber: existingSocket.user.id };
         }
+        // Socket already waiting to be linked - switch it to a pairing code rather than opening another
+        // (if it isn't ready for one yet, its next QR event requests it)
+        if (phoneNumber) {
+          await this.issuePairingCode(subAccountId, existingSocket);
+          return { status: 'connecting', message: 'Generating pairing code...' };
+        }
+      }
+
+      // Only one instance may run a socket for this sub-account
+      if (!(await sessionOwnership.acquire(subAccountId))) {
+        logger.info(`Session ${subAccountId} is owned by another instance, not connecting here`);
+        return { status: 'owned_elsewhere' };
       }
 
-      const sessionDir = path.join(SESSION_PATH, subAccountId);
-      const { state, saveCreds } = await useMultiFileAuthState(sessionDir);
+      // Credentials and signal keys are stored encrypted in the database
+      let auth;
+      try {
+        auth = await authState.useDatabaseAuthState(subAccountId);
+      } catch (authError) {
+        // The stored session is kept - it is only cleared by an explicit disconnect or logout
+        if (authError.reason === 'session_undecryptable') {
+          await this.openCircuit(subAccount, authError.reason, authError.message);
+        }
+        throw authError;
+      }
+      const { state, saveCreds } = auth;
       const { version } = await fetchLatestBaileysVersion();
 
       const pino = require('pino');
@@ -130,7 +323,7 @@ class WhatsAppService {
             });
             if (dbMessage?.metadata?.rawMessage?.message) {
               logger.info('getMessage: Found message in database for retry', { id: key.id });
-              return dbMessage.metadata.rawMessage.message;
+              return reviveMessageSecret(dbMessage.metadata.rawMessage.message);
             }
           } catch (err) {
             logger.warn('getMessage: Error loading from database', { error: err.message });
@@ -143,6 +336,12 @@ class WhatsAppService {
         markOnlineOnConnect: true
       });
 
+      // Any event from the socket counts as a sign of life (watchdog)
+      socketActivity.set(socket, { startedAt: Date.now(), lastEventAt: Date.now() });
+      socket.ev.process(() => {
+        socketActivity.get(socket).lastEventAt = Date.now();
+      });
+
       // Handle connection updates
       socket.ev.on('connection.update', async (update) => {
         await this.handleConnectionUpdate(subAccountId, socket, update, saveCreds);
@@ -156,10 +355,39 @@ class WhatsAppService {
         await this.handleIncomingMessages(subAccountId, m);
       });
 
-      // Handle message updates (can contain decrypted content after retry)
+      // Chat history sent after linking - imported only when the sub-account opted in
+      socket.ev.on('messaging-history.set', async (history) => {
+        await historyBackfill.handleHistorySet(subAccountId, history);
+      });
+
+      // Contacts coming online, typing or going offline (subscribed contacts and open chats)
+      socket.ev.on('presence.update', async (update) => {
+        await presenceService.handlePresenceUpdate(subAccountId, update);
+      });
+
+      // Incoming voice/video calls - auto-rejected if the sub-account asks for it, and logged
+      socket.ev.on('call', async (calls) => {
+        await callService.handleCalls(subAccountId, calls);
+      });
+
+      // Group delivery/read receipts - one per participant
+      socket.ev.on('message-receipt.update', async (updates) => {
+        await this.handleMessageReceiptUpdate(subAccountId, updates);
+      });
+
+      // Handle message updates (delivery/read receipts, or decrypted content after retry)
       socket.ev.on('messages.update', async (updates) => {
         for (const update of updates) {
-          if (update.update?.message) {
+          if (update.update?.status !== undefined && update.update?.status !== null) {
+            await this.handleMessageStatusUpdate(subAccountId, update.key, update.update.status);
+          }
+
+          if (update.update?.pollUpdates?.length) {
+            await this.handlePollUpdate(subAccountId, update.key, update.update.pollUpdates);
+          }
+
+          // Edits also arrive here as editedMessage, but are applied from the protocol message in messages.upsert
+          if (update.update?.message && !update.update.message.editedMessage) {
             // Message was updated with decrypted content (retry succeeded)
             logger.info('Message updated with decrypted content:', {
               messageId: update.key?.id,
@@ -204,6 +432,16 @@ class WhatsAppService {
         }
       });
 
+      // Group subject/participant changes - drop cached metadata so the next lookup refetches it
+      socket.ev.on('groups.update', (updates) => {
+        for (const update of updates) {
+          if (update.id) groupMetadataCache.delete(`${subAccountId}:${update.id}`);
+        }
+      });
+      socket.ev.on('group-participants.update', ({ id }) => {
+        if (id) groupMetadataCache.delete(`${subAccountId}:${id}`);
+      });
+
       // Handle contacts sync - capture phone-to-LID mappings
       socket.ev.on('contacts.upsert', async (contacts) => {
         for (const contact of contacts) {
@@ -269,6 +507,10 @@ class WhatsAppService {
       return { status: 'connecting', message: 'Initializing connection...' };
     } catch (error) {
       logger.error(`WhatsApp connect error for ${subAccountId}:`, error);
+      // Don't keep a lease for a socket that never started
+      if (!connections.has(subAccountId)) {
+        await sessionOwnership.release(subAccountId);
+      }
       throw error;
     }
   }
@@ -282,32 +524,61 @@ class WhatsAppService {
       if (!subAccount) return;
 
       // Handle QR code
-      if (qr) {
+      if (qr && pairingRequests.has(subAccountId)) {
+        // Linking by phone number - the socket is ready for a pairing code instead of showing the QR
+        await this.issuePairingCode(subAccountId, socket);
+      } else if (qr) {
         const qrDataUrl = await QRCode.toDataURL(qr);
         qrCodes.set(subAccountId, { qrCode: qrDataUrl, timestamp: Date.now() });
         await subAccount.update({ status: 'qr_ready' });
 
         logger.info(`QR code generated for ${subAccountId}`);
+        await connectionEvents.record(subAccountId, 'qr_issued');
 
         // Trigger webhook
         await webhookService.trigger(subAccountId, 'connection.qr', { qrCode: qrDataUrl });
       }
 
       if (connection === 'close') {
-        const shouldReconnect = (lastDisconnect?.error instanceof Boom)
-          ? lastDisconnect.error.output.statusCode !== DisconnectReason.loggedOut
-          : true;
+        // Lease moved to another instance (or the session was disconnected there) - nothing to do here
+        if (!sessionOwnership.isOwnedLocally(subAccountId)) {
+          connections.delete(subAccountId);
+          qrCodes.delete(subAccountId);
+          return;
+        }
 
-        logger.info(`Connection closed for ${subAccountId}, reconnect: ${shouldReconnect}`);
+        const statusCode = (lastDisconnect?.error instanceof Boom) ? lastDisconnect.error.output.statusCode : null;
+        const policy = getDisconnectPolicy(statusCode);
+        const errorMessage = lastDisconnect?.error?.message || 'unknown';
 
-        // Clear QR code
+        logger.info(`Connection closed for ${subAccountId}: ${policy.reason} (${statusCode ?? 'no status code'}), action: ${policy.action}`);
+
+        // Clear QR/pairing code and remove from connections
         qrCodes.delete(subAccountId);
+        pairingCodes.delete(subAccountId);
+        connections.delete(subAccountId);
+        groupMetadataCache.deleteByPrefix(`${subAccountId}:`);
 
-        if (shouldReconnect) {
-          await subAccount.update({ status: 'disconnected' });
-          // Attempt reconnect after delay
-          setTimeout(() => this.connect(subAccountId), 5000);
-        } else {
+        await connectionEvents.record(subAccountId, policy.action === 'logout' ? 'logged_out' : 'disconnected', {
+          reason: policy.reason,
+          statusCode,
+          message: errorMessage,
+          phoneNumber: subAccount.phoneNumber
+        });
+
+        if (policy.action === 'stop' || policy.action === 'logout') {
+          pairingRequests.delete(subAccountId);
+        }
+
+        if (policy.action === 'stop') {
+          if (policy.clearSession) {
+            await this.clearSession(subAccountId);
+          }
+          await this.openCircuit(subAccount, policy.reason, errorMessage);
+          return;
+        }
+
+        if (policy.action === 'logout') {
           // Logged out - clear session
           await this.clearSession(subAccountId);
           await subAccount.update({
@@ -315,33 +586,37 @@ class WhatsAppService {
             phoneNumber: null,
             sessionData: null
           });
+          await sessionOwnership.release(subAccountId);
+        } else {
+          await subAccount.update({ status: 'disconnected' });
         }
 
-        // Remove from connections
-        connections.delete(subAccountId);
-
         // Trigger webhook
         await webhookService.trigger(subAccountId, 'connection.status', {
           status: 'disconnected',
-          reason: lastDisconnect?.error?.message || 'unknown'
+          reason: errorMessage,
+          disconnectReason: policy.reason
         });
 
+        if (policy.action !== 'logout') {
+          await this.scheduleReconnect(subAccount, policy, errorMessage);
+          return;
+        }
+
         // Only send disconnection email for permanent disconnects (not auto-reconnecting)
-        if (!shouldReconnect) {
-          try {
-            const customer = await Customer.findByPk(subAccount.customerId);
-            if (customer) {
-              emailService.sendWhatsAppDisconnected(
-                customer.email,
-                customer.name,
-                subAccount.phoneNumber,
-                subAccount.name,
-                lastDisconnect?.error?.message || 'Connection lost'
-              ).catch(err => logger.error('Failed to send WhatsApp disconnected email:', err));
-            }
-          } catch (emailErr) {
-            logger.error('Error sending WhatsApp disconnected email:', emailErr);
+        try {
+          const customer = await Customer.findByPk(subAccount.customerId);
+          if (customer) {
+            emailService.sendWhatsAppDisconnected(
+              customer.email,
+              customer.name,
+              subAccount.phoneNumber,
+              subAccount.name,
+              lastDisconnect?.error?.message || 'Connection lost'
+            ).catch(err => logger.error('Failed to send WhatsApp disconnected email:', err));
           }
+        } catch (emailErr) {
+          logger.error('Error sending WhatsApp disconnected email:', emailErr);
         }
 
       } else if (connection === 'open') {
@@ -359,12 +634,17 @@ class WhatsAppService {
 
           if (existingConnection) {
             logger.warn(`Phone ${phoneNumber} already connected to sub-account ${existingConnection.id}, rejecting connection for ${subAccountId}`);
+            await connectionEvents.record(subAccountId, 'phone_conflict', {
+              phoneNumber,
+              metadata: { conflictingSubAccountId: existingConnection.id }
+            });
 
             // Disconnect this session
             await this.clearSession(subAccountId);
             await subAccount.update({ status: 'disconnected' });
             connections.delete(subAccountId);
             qrCodes.delete(subAccountId);
+            await sessionOwnership.release(subAccountId);
 
             // Trigger webhook with error
             await webhookService.trigger(subAccountId, 'connection.status', {
@@ -379,14 +659,26 @@ class WhatsAppService {
         await subAccount.update({
           status: 'connected',
           phoneNumber,
-          lastConnected: new Date()
+          lastConnected: new Date(),
+          lastError: null
         });
+        this.resetReconnect(subAccountId);
+        await connectionEvents.record(subAccountId, 'connected', { phoneNumber });
 
-        // Clear QR code
+        // Clear QR/pairing code
         qrCodes.delete(subAccountId);
+        pairingRequests.delete(subAccountId);
+        pairingCodes.delete(subAccountId);
 
         logger.info(`Connected successfully for ${subAccountId}: ${phoneNumber}`);
 
+        // Send anything queued while disconnected (or before a failover to this instance)
+        messageQueue.startProcessing(subAccountId);
+
+        // Presence subscriptions do not survive a new socket
+        presenceService.resubscribeAll(subAccountId)
+          .catch(err => logger.error('Presence resubscribe failed:', err.message));
+
         // Trigger webhook
         await webhookService.trigger(subAccountId, 'connection.status', {
           status: 'connected',
@@ -413,6 +705,137 @@ class WhatsAppService {
     }
   }
 
+  // Request a pairing code for the number in pairingRequests (once per socket)
+  // The user enters it under WhatsApp > Linked Devices > Link with phone number instead
+  async issuePairingCode(subAccountId, socket) {
+    const pairing = pairingRequests.get(subAccountId);
+    if (!pairing || pairing.socket === socket || socket.authState?.creds?.registered) return;
+
+    pairing.socket = socket;
+    try {
+      const rawCode = await socket.requestPairingCode(pairing.phoneNumber);
+      // "ABCD1234" -> "ABCD-1234", the way WhatsApp displays it
+      const code = rawCode?.match(/.{1,4}/g)?.join('-') || rawCode;
+
+      qrCodes.delete(subAccountId);
+      pairingCodes.set(subAccountId, { code, phoneNumber: pairing.phoneNumber, timestamp: Date.now() });
+      await SubAccount.update({ status: 'qr_ready' }, { where: { id: subAccountId } });
+
+      logger.info(`Pairing code generated for ${subAccountId}`);
+      await connectionEvents.record(subAccountId, 'pairing_code_issued', { phoneNumber: pairing.phoneNumber });
+
+      await webhookService.trigger(subAccountId, 'connection.pairing_code', {
+        pairingCode: code,
+        phoneNumber: pairing.phoneNumber
+      });
+    } catch (error) {
+      pairing.socket = null;
+      logger.error(`Failed to request pairing code for ${subAccountId}:`, error.message);
+    }
+  }
+
+  // Phone number for a pairing code: full international number, digits only (null if invalid)
+  normalizePairingNumber(phoneNumber) {
+    const digits = String(phoneNumber).replace(/\D/g, '');
+    return digits.length >= 8 && digits.length <= 15 ? digits : null;
+  }
+
+  // Wait for the pairing code of a connect request (null if it isn't ready in time)
+  async waitForPairingCode(subAccountId, timeoutMs = PAIRING_CODE_WAIT_MS) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const pairing = pairingCodes.get(subAccountId);
+      if (pairing) return pairing;
+      if (!pairingRequests.has(subAccountId)) return null;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    return null;
+  }
+
+  // Schedule the next automatic reconnect, or give up once MAX_RECONNECT_ATTEMPTS is exceeded
+  async scheduleReconnect(subAccount, policy, errorMessage) {
+    const subAccountId = subAccount.id;
+    const state = reconnectState.get(subAccountId) || { attempts: 0, timer: null };
+    clearTimeout(state.timer);
+
+    let delay = 0;
+    if (policy.action !== 'restart') {
+      state.attempts++;
+      if (state.attempts > MAX_RECONNECT_ATTEMPTS) {
+        await this.openCircuit(subAccount, 'max_reconnect_attempts', errorMessage);
+        return;
+      }
+      delay = getBackoffDelay(state.attempts);
+    }
+
+    logger.info(`Reconnecting ${subAccountId} in ${delay}ms (attempt ${state.attempts}/${MAX_RECONNECT_ATTEMPTS})`);
+    await connectionEvents.record(subAccountId, 'reconnect_scheduled', {
+      reason: policy.reason,
+      metadata: { attempt: state.attempts, maxAttempts: MAX_RECONNECT_ATTEMPTS, delayMs: delay }
+    });
+
+    state.timer = setTimeout(async () => {
+      state.timer = null;
+      try {
+        await this.connect(subAccountId, { isReconnect: true });
+      } catch (error) {
+        // Failed before a socket existed (no close event will follow) - counts as another failed attempt
+        logger.error(`Reconnect attempt failed for ${subAccountId}:`, error.message);
+        const current = await SubAccount.findByPk(subAccountId).catch(() => null);
+        if (current?.isActive && reconnectState.has(subAccountId)) {
+          await this.scheduleReconnect(current, { reason: 'unknown', action: 'backoff' }, error.message);
+        }
+      }
+    }, delay);
+    reconnectState.set(subAccountId, state);
+  }
+
+  // Cancel any pending reconnect and reset the attempt counter
+  resetReconnect(subAccountId) {
+    const state = reconnectState.get(subAccountId);
+    if (state) {
+      clearTimeout(state.timer);
+      reconnectState.delete(subAccountId);
+    }
+  }
+
+  // Stop reconnecting and flag the sub-account as 'error' until it is connected again by hand
+  // The customer is notified once per failure, not on every close that follows
+  async openCircuit(subAccount, reason, errorMessage) {
+    const subAccountId = subAccount.id;
+    const alreadyOpen = subAccount.status === 'error';
+    const message = DISCONNECT_MESSAGES[reason] || errorMessage;
+
+    this.resetReconnect(subAccountId);
+    await subAccount.update({ status: 'error', lastError: reason });
+    await sessionOwnership.release(subAccountId);
+
+    logger.warn(`Stopped reconnecting ${subAccountId}: ${reason} (${errorMessage})`);
+    await connectionEvents.record(subAccountId, 'reconnect_stopped', { reason, message: errorMessage, phoneNumber: subAccount.phoneNumber });
+    if (alreadyOpen) return;
+
+    await webhookService.trigger(subAccountId, 'connection.status', {
+      status: 'error',
+      error: reason,
+      message
+    });
+
+    try {
+      const customer = await Customer.findByPk(subAccount.customerId);
+      if (customer) {
+        emailService.sendWhatsAppDisconnected(
+          customer.email,
+          customer.name,
+          subAccount.phoneNumber,
+          subAccount.name,
+          message
+        ).catch(err => logger.error('Failed to send WhatsApp disconnected email:', err));
+      }
+    } catch (emailErr) {
+      logger.error('Error sending WhatsApp disconnected email:', emailErr);
+    }
+  }
+
   // Handle incoming messages (and outbound messages sent directly from WhatsApp)
   async handleIncomingMessages(subAccountId, { messages, type }) {
     if (type !== 'notify') return;
@@ -425,8 +848,18 @@ class WhatsAppService {
         // Skip status messages
         if (msg.key.remoteJid === 'status@broadcast') continue;
 
-        // Skip group messages - only sync private/direct messages to GHL
-        if (msg.key.remoteJid.endsWith('@g.us')) continue;
+        // Edits and deletions ("delete for everyone") of earlier messages
+        const protocolMessage = msg.message?.protocolMessage || msg.message?.editedMessage?.message?.protocolMessage;
+        if (protocolMessage) {
+          await this.handleProtocolMessage(subAccountId, msg, protocolMessage);
+          continue;
+        }
+
+        // Group messages are stored with the sending participant and handled separately
+        if (msg.key.remoteJid.endsWith('@g.us')) {
+          await this.handleGroupMessage(subAccountId, msg);
+          continue;
+        }
 
         // Determine if this is an outbound message (sent from WhatsApp, not from GHL)
         const isFromMe = msg.key.fromMe;
@@ -591,64 +1024,14 @@ class WhatsAppService {
         }
 
         // Determine message type and content
-        let messageType = 'text';
-        let content = '';
-        let mediaUrl = null;
-
-        if (msg.message?.conversation) {
-          content = msg.message.conversation;
-        } else if (msg.message?.extendedTextMessage?.text) {
-          content = msg.message.extendedTextMessage.text;
-        } else if (msg.message?.imageMessage) {
-          messageType = 'image';
-          content = msg.message.imageMessage.caption || '[Image]';
-        } else if (msg.message?.documentMessage) {
-          messageType = 'document';
-          content = msg.message.documentMessage.fileName || '[Document]';
-        } else if (msg.message?.audioMessage) {
-          messageType = 'audio';
-          content = '[Voice message]';
-        } else if (msg.message?.videoMessage) {
-          messageType = 'video';
-          content = msg.message.videoMessage.caption || '[Video]';
-        } else if (msg.message?.stickerMessage) {
-          messageType = 'text';
-          content = '[Sticker]';
-        } else if (msg.message?.contactMessage) {
-          messageType = 'text';
-          content = msg.message.contactMessage.displayName || '[Contact]';
-        } else if (msg.message?.locationMessage) {
-          messageType = 'text';
-          content = '[Location shared]';
-        } else if (msg.message?.reactionMessage) {
-          // Skip reactions - they don't need to be synced as separate messages
-          logger.info('Skipping reaction message');
-          continue;
-        } else if (msg.message?.protocolMessage || msg.message?.senderKeyDistributionMessage) {
-          // Skip protocol/system messages
-          continue;
-        } else if (!msg.message) {
-          // Message decryption failed (Bad MAC error) - msg.message is null/undefined
-          // This happens when Signal protocol decryption fails
-          // The retry mechanism (msgRetryCounterCache + getMessage) should have already attempted retries
-          logger.warn('Message decryption failed - message object is empty:', {
-            messageId: msg.key?.id,
-            remoteJid: msg.key?.remoteJid,
-            isFromMe,
-            subAccountId,
-            hint: 'This usually indicates Signal session issues. Message retry was attempted.'
-          });
-          // Skip this message - don't sync "[Message]" placeholder to GHL
-          // The message may arrive later if retry succeeds, or may be lost
-          continue;
-        } else {
-          // Log unrecognized message types for debugging
-          logger.warn('Unrecognized message type:', {
-            messageKeys: Object.keys(msg.message),
-            subAccountId
-          });
-          content = '[Message]';
-        }
+        const parsed = await this.extractMessageContent(subAccountId, msg);
+        if (!parsed) continue;
+        const { messageType, content, mediaMessage, details } = parsed;
+        const quoted = await this.extractQuote(subAccountId, msg);
+
+        // Download and persist media (image/document/audio/video)
+        // If the download fails the message is still stored with its placeholder content
+        const media = mediaMessage ? await this.downloadMedia(subAccountId, msg, mediaMessage) : null;
 
         // Store message
         const direction = isFromMe ? 'outbound' : 'inbound';
@@ -660,10 +1043,15 @@ class WhatsAppService {
           toNumber: isFromMe ? contactNumber : (subAccount.phoneNumber || ''),
           messageType,
           content,
-          mediaUrl,
+          mediaUrl: media?.url || null,
+          mediaMimeType: media?.mimetype || null,
+          mediaSize: media?.size || null,
+          quotedMessageId: quoted?.messageId || null,
+          quotedSnippet: quoted?.snippet || null,
           status: isFromMe ? 'sent' : 'delivered',
-          metadata: { rawMessage: msg, source: isFromMe ? 'whatsapp_direct' : 'whatsapp' }
+          metadata: { rawMessage: msg, source: isFromMe ? 'whatsapp_direct' : 'whatsapp', ...details }
         });
+        if (isFromMe) await this.applyEarlyReceipts(subAccountId, msg.key.id);
 
         logger.info(`${isFromMe ? 'Sent' : 'Received'} message for ${subAccountId} ${isFromMe ? 'to' : 'from'} ${contactNumber} (resolved: ${phoneForSync})`);
 
@@ -673,20 +1061,32 @@ class WhatsAppService {
           [isFromMe ? 'to' : 'from']: phoneForSync,  // Use resolved phone number
           type: messageType,
           content,
+          ...(media && {
+            mediaUrl: media.url,
+            mimetype: media.mimetype,
+            fileName: media.fileName,
+            size: media.size
+          }),
+          ...details,
+          ...(quoted && { quoted }),
           timestamp: new Date().toISOString(),
           source: isFromMe ? 'whatsapp_direct' : 'whatsapp'
         });
 
+        // Media is forwarded to GHL as a real attachment; the body is the caption, or the file
+        // name / "[Image]" style placeholder when there is none (GHL rejects empty messages)
+        const ghlAttachments = message.mediaUrl ? [message.mediaUrl] : [];
+
         // Sync to GHL using resolved phone number (async, don't wait)
         // Pass pushName and isLID flag for name-based matching when phone number can't be resolved
         if (isFromMe) {
           // Check if this outbound was sent by our sendMessage function (GHL or API)
-          // Layer 1 & 2: Fast in-memory checks (pendingSends + messageQueue GHL origin)
+          // Layer 1 & 2: Fast checks (in-memory pendingSends + messageQueue GHL origin)
           const cleanPhoneCheck = phoneForSync.replace(/\D/g, '');
           const pendingKeyResolved = `${subAccountId}:${cleanPhoneCheck}`;
           const pendingKeyOriginal = `${subAccountId}:${contactNumber}`;
           const hasPendingSend = pendingSends.has(pendingKeyResolved) || pendingSends.has(pendingKeyOriginal);
-          const hasGhlOrigin = messageQueue.isGhlOrigin(subAccountId, cleanPhoneCheck);
+          const hasGhlOrigin = await messageQueue.isGhlOrigin(subAccountId, cleanPhoneCheck);
 
           // Layer 3: DB fallback - check for recent app-originated send to same phone
           // This survives process restarts and has no TTL expiry issues
@@ -729,7 +1129,10 @@ class WhatsAppService {
               subAccount.phoneNumber || '',   // from (our number)
               phoneForSync,                   // to (contact)
               content,
-              'outbound'
+              'outbound',
+              null,
+              false,
+              ghlAttachments
             ).catch(err => logger.error('GHL sync error:', err));
           }
         } else {
@@ -741,8 +1144,12 @@ class WhatsAppService {
             content,
             'inbound',
             pushName,  // Pass contact name for name-based matching fallback
-            isLID      // Flag indicating this is a WhatsApp LID (not a real phone number)
+            isLID,     // Flag indicating this is a WhatsApp LID (not a real phone number)
+            ghlAttachments
           ).catch(err => logger.error('GHL sync error:', err));
+
+          // Profile picture / business info for the sender, and its GHL contact's avatar and name
+          contactProfiles.refreshInBackground(subAccount, phoneForSync, pushName);
         }
 
       } catch (error) {
@@ -751,8 +1158,955 @@ class WhatsAppService {
     }
   }
 
-  // Send message (text or media)
-  async sendMessage(subAccountId, toNumber, content, messageType = 'text', mediaUrl = null, fileName = null) {
+  // Store a group message with the participant who sent it
+  // Fires group.message.received / group.message.sent webhooks; inbound messages are
+  // synced to the sender's GHL conversation only when the sub-account opts in (syncGroupsToGhl)
+  async handleGroupMessage(subAccountId, msg) {
+    const groupJid = msg.key.remoteJid;
+    const isFromMe = !!msg.key.fromMe;
+
+    // Sent through sendMessage - it stores the message itself
+    if (isFromMe && pendingSends.has(`${subAccountId}:${groupJid}`)) return;
+
+    const subAccount = await SubAccount.findByPk(subAccountId);
+    if (!subAccount) return;
+
+    const existingMessage = await Message.findOne({
+      where: { subAccountId, messageId: msg.key.id }
+    });
+    if (existingMessage) {
+      logger.info('Skipping duplicate group message (already processed):', { messageId: msg.key.id, groupJid });
+      return;
+    }
+
+    const parsed = await this.extractMessageContent(subAccountId, msg);
+    if (!parsed) return;
+    const { messageType, content, mediaMessage, details } = parsed;
+    const quoted = await this.extractQuote(subAccountId, msg);
+
+    const participant = isFromMe
+      ? { jid: null, number: subAccount.phoneNumber || '', isLID: false }
+      : await this.resolveParticipant(subAccountId, msg.key.participant);
+    const participantName = isFromMe ? null : (msg.pushName || null);
+    const group = await this.getGroupMetadata(subAccountId, groupJid);
+    const groupSubject = group?.subject || null;
+
+    const media = mediaMessage ? await this.downloadMedia(subAccountId, msg, mediaMessage) : null;
+
+    const direction = isFromMe ? 'outbound' : 'inbound';
+    const message = await Message.create({
+      subAccountId,
+      messageId: msg.key.id,
+      direction,
+      fromNumber: participant.number,
+      toNumber: groupJid,
+      groupJid,
+      participant: participant.jid,
+      participantName,
+      messageType,
+      content,
+      mediaUrl: media?.url || null,
+      mediaMimeType: media?.mimetype || null,
+      mediaSize: media?.size || null,
+      quotedMessageId: quoted?.messageId || null,
+      quotedSnippet: quoted?.snippet || null,
+      status: isFromMe ? 'sent' : 'delivered',
+      metadata: { rawMessage: msg, source: isFromMe ? 'whatsapp_direct' : 'whatsapp', groupSubject, ...details }
+    });
+    if (isFromMe) await this.applyEarlyReceipts(subAccountId, msg.key.id);
+
+    logger.info(`${isFromMe ? 'Sent' : 'Received'} group message for ${subAccountId} in ${groupJid}`, {
+      participant: participant.number
+    });
+
+    await webhookService.trigger(subAccountId, isFromMe ? 'group.message.sent' : 'group.message.received', {
+      messageId: message.id,
+      group: { jid: groupJid, subject: groupSubject },
+      participant: { number: participant.number, jid: participant.jid, name: participantName },
+      type: messageType,
+      content,
+      ...(media && {
+        mediaUrl: media.url,
+        mimetype: media.mimetype,
+        fileName: media.fileName,
+        size: media.size
+      }),
+      ...details,
+      ...(quoted && { quoted }),
+      timestamp: new Date().toISOString(),
+      source: isFromMe ? 'whatsapp_direct' : 'whatsapp'
+    });
+
+    // GHL conversations are per contact, so a group message lands in the sender's
+    // conversation prefixed with the group name
+    if (!isFromMe && subAccount.syncGroupsToGhl && participant.number) {
+      ghlService.syncMessageToGHL(
+        subAccount,
+        participant.number,             // from (participant)
+        subAccount.phoneNumber || '',   // to (our number)
+        `[${groupSubject || 'Group'}] ${content}`,
+        'inbound',
+        participantName,
+        participant.isLID,
+        message.mediaUrl ? [message.mediaUrl] : []
+      ).catch(err => logger.error('GHL group sync error:', err));
+    }
+  }
+
+  // Resolve a group participant (or chat) JID to a phone number (LIDs via Baileys or WhatsAppMapping)
+  // Returns { jid, number, isLID } - isLID stays true when the phone number is unknown
+  async resolveParticipant(subAccountId, participantJid) {
+    if (!participantJid) return { jid: null, number: '', isLID: false };
+
+    const number = participantJid.split('@')[0].split(':')[0];
+    if (!participantJid.endsWith('@lid')) {
+      return { jid: participantJid, number, isLID: false };
+    }
+
+    const socket = connections.get(subAccountId);
+    if (typeof socket?.signalRepository?.lidMapping?.getPNForLID === 'function') {
+      try {
+        const phoneJid = await socket.signalRepository.lidMapping.getPNForLID(participantJid);
+        if (phoneJid) {
+          return { jid: participantJid, number: phoneJid.split('@')[0].split(':')[0], isLID: false };
+        }
+      } catch (lidError) {
+        logger.warn('Baileys lidMapping lookup failed for participant:', lidError.message);
+      }
+    }
+
+    const mapping = await WhatsAppMapping.findOne({
+      where: { subAccountId, whatsappId: number }
+    });
+    if (mapping) {
+      return { jid: participantJid, number: mapping.phoneNumber, isLID: false };
+    }
+
+    return { jid: participantJid, number, isLID: true };
+  }
+
+  // Group metadata from cache, fetched from WhatsApp when missing or stale
+  async getGroupMetadata(subAccountId, groupJid) {
+    const key = `${subAccountId}:${groupJid}`;
+    const cached = groupMetadataCache.get(key);
+    if (cached) return cached;
+
+    const socket = connections.get(subAccountId);
+    if (!socket) return null;
+
+    try {
+      const metadata = await socket.groupMetadata(groupJid);
+      groupMetadataCache.set(key, metadata);
+      return metadata;
+    } catch (error) {
+      logger.warn('Failed to fetch group metadata:', { subAccountId, groupJid, error: error.message });
+      return null;
+    }
+  }
+
+  formatGroup(metadata, includeParticipants = false) {
+    return {
+      jid: metadata.id,
+      subject: metadata.subject || null,
+      description: metadata.desc || null,
+      owner: metadata.owner || null,
+      createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+      participantCount: metadata.participants?.length || 0,
+      announce: !!metadata.announce,
+      restrict: !!metadata.restrict,
+      ...(includeParticipants && {
+        participants: (metadata.participants || []).map(p => ({ jid: p.id, admin: p.admin || null }))
+      })
+    };
+  }
+
+  // List the groups this sub-account's WhatsApp number participates in
+  async getGroups(subAccountId) {
+    const socket = connections.get(subAccountId);
+    if (!socket) {
+      throw new Error('Not connected. Please scan QR code first.');
+    }
+
+    const groups = await socket.groupFetchAllParticipating();
+    return Object.values(groups).map(metadata => {
+      groupMetadataCache.set(`${subAccountId}:${metadata.id}`, metadata);
+      return this.formatGroup(metadata);
+    });
+  }
+
+  // Single group with its participants
+  async getGroup(subAccountId, groupJid) {
+    if (!connections.get(subAccountId)) {
+      throw new Error('Not connected. Please scan QR code first.');
+    }
+    const metadata = await this.getGroupMetadata(subAccountId, groupJid);
+    return metadata ? this.formatGroup(metadata, true) : null;
+  }
+
+  // Profile picture URL and business profile of a contact, straight from WhatsApp
+  // pictureUrl is null when the contact has none or hides it; business is null for non-business accounts
+  async fetchContactProfile(subAccountId, phoneNumber) {
+    const socket = connections.get(subAccountId);
+    if (!socket?.user) {
+      throw new Error('Not connected. Please scan QR code first.');
+    }
+
+    const jid = `${phoneNumber}@s.whatsapp.net`;
+
+    let pictureUrl = null;
+    try {
+      pictureUrl = await socket.profilePictureUrl(jid, 'image') || null;
+    } catch (error) {
+      // 401/404: no picture or hidden by the contact's privacy settings
+      if (![401, 404].includes(error.output?.statusCode ?? error.data)) {
+        logger.warn('Failed to fetch profile picture:', { subAccountId, phoneNumber, error: error.message });
+      }
+    }
+
+    let business = null;
+    try {
+      business = await socket.getBusinessProfile(jid) || null;
+    } catch (error) {
+      logger.warn('Failed to fetch business profile:', { subAccountId, phoneNumber, error: error.message });
+    }
+
+    return { pictureUrl, business };
+  }
+
+  // Which of the numbers are registered on WhatsApp - one onWhatsApp query for the whole list
+  // Returns phoneNumber -> { exists, jid, lid } (lid only when WhatsApp reports one)
+  async checkNumbers(subAccountId, phoneNumbers) {
+    const socket = connections.get(subAccountId);
+    if (!socket?.user) {
+      throw new Error('Not connected. Please scan QR code first.');
+    }
+
+    const results = new Map(phoneNumbers.map(phoneNumber => [phoneNumber, { exists: false, jid: null, lid: null }]));
+    const found = (await socket.onWhatsApp(...phoneNumbers)) || [];
+
+    for (const result of found) {
+      if (!result?.exists || !result.jid) continue;
+      const number = result.jid.split('@')[0].split(':')[0];
+      // WhatsApp may answer with a normalised number (e.g. Brazilian numbers without the extra 9)
+      const input = results.has(number) ? number :
+        phoneNumbers.find(phoneNumber => !results.get(phoneNumber).exists && phoneNumber.slice(-8) === number.slice(-8));
+      if (input) {
+        results.set(input, { exists: true, jid: result.jid, lid: result.lid || null });
+      }
+    }
+    return results;
+  }
+
+  // Decline an incoming call (call.from is the caller JID from the 'call' event)
+  async rejectCall(subAccountId, callId, callFrom) {
+    const socket = connections.get(subAccountId);
+    if (!socket?.user) {
+      throw new Error('Not connected. Please scan QR code first.');
+    }
+    await socket.rejectCall(callId, callFrom);
+  }
+
+  // Work out the message type, display content and media node of a WhatsApp message
+  // Rich types (location, contact, reaction, poll, sticker) also return structured details,
+  // which are stored in Message.metadata and included in webhooks; content stays human-readable
+  // Returns { messageType, content, mediaMessage, details }, or null for messages that should not be stored
+  async extractMessageContent(subAccountId, msg) {
+    let messageType = 'text';
+    let content = '';
+    let mediaMessage = null;
+    let details = {};
+
+    const location = msg.message?.locationMessage || msg.message?.liveLocationMessage;
+    const pollCreation = msg.message?.pollCreationMessage ||
+      msg.message?.pollCreationMessageV2 ||
+      msg.message?.pollCreationMessageV3;
+
+    if (msg.message?.conversation) {
+      content = msg.message.conversation;
+    } else if (msg.message?.extendedTextMessage?.text) {
+      content = msg.message.extendedTextMessage.text;
+    } else if (msg.message?.imageMessage) {
+      messageType = 'image';
+      mediaMessage = msg.message.imageMessage;
+      content = mediaMessage.caption || '[Image]';
+    } else if (msg.message?.documentMessage) {
+      messageType = 'document';
+      mediaMessage = msg.message.documentMessage;
+      content = mediaMessage.caption || mediaMessage.fileName || '[Document]';
+    } else if (msg.message?.audioMessage) {
+      messageType = 'audio';
+      mediaMessage = msg.message.audioMessage;
+      content = mediaMessage.ptt ? '[Voice message]' : '[Audio]';
+    } else if (msg.message?.videoMessage) {
+      messageType = 'video';
+      mediaMessage = msg.message.videoMessage;
+      content = mediaMessage.caption || '[Video]';
+    } else if (msg.message?.stickerMessage) {
+      messageType = 'sticker';
+      mediaMessage = msg.message.stickerMessage;
+      content = '[Sticker]';
+      details = { sticker: { isAnimated: !!mediaMessage.isAnimated } };
+    } else if (msg.message?.contactMessage || msg.message?.contactsArrayMessage) {
+      messageType = 'contact';
+      const cards = msg.message.contactMessage
+        ? [msg.message.contactMessage]
+        : (msg.message.contactsArrayMessage.contacts || []);
+      const contacts = cards.map(card => {
+        const parsed = parseVCard(card.vcard);
+        return { displayName: card.displayName || parsed.fullName || parsed.name, ...parsed };
+      });
+      details = { contacts };
+      content = formatContactsContent(contacts);
+    } else if (location) {
+      messageType = 'location';
+      details = {
+        location: {
+          latitude: location.degreesLatitude,
+          longitude: location.degreesLongitude,
+          name: location.name || null,
+          address: location.address || null,
+          url: location.url || null,
+          isLive: !!msg.message.liveLocationMessage,
+          mapsUrl: getMapsUrl(location.degreesLatitude, location.degreesLongitude)
+        }
+      };
+      content = formatLocationContent(details.location);
+    } else if (msg.message?.reactionMessage) {
+      messageType = 'reaction';
+      const reaction = msg.message.reactionMessage;
+      const emoji = reaction.text || '';
+      const targetMessageId = reaction.key?.id || null;
+      // Quote the reacted-to message when we have it, so the reaction reads on its own
+      const target = targetMessageId
+        ? await Message.findOne({ where: { subAccountId, messageId: targetMessageId }, attributes: ['id', 'content'] })
+        : null;
+      const snippet = target?.content ? ` to "${target.content.slice(0, 60)}${target.content.length > 60 ? '...' : ''}"` : '';
+      details = {
+        reaction: {
+          emoji,
+          removed: !emoji,
+          targetMessageId,
+          targetId: target?.id || null,
+          targetFromMe: !!reaction.key?.fromMe
+        }
+      };
+      content = emoji ? `Reacted ${emoji}${snippet}` : `Removed reaction${snippet}`;
+    } else if (pollCreation) {
+      messageType = 'poll';
+      const options = (pollCreation.options || []).map(option => option.optionName);
+      details = {
+        poll: {
+          name: pollCreation.name || '',
+          options,
+          selectableCount: pollCreation.selectableOptionsCount || 0,
+          votes: {},
+          results: options.map(name => ({ name, votes: 0 }))
+        }
+      };
+      content = formatPollContent(pollCreation.name, options);
+    } else if (msg.message?.pollUpdateMessage) {
+      // Votes are encrypted - Baileys decrypts them and emits messages.update with pollUpdates
+      return null;
+    } else if (msg.message?.protocolMessage || msg.message?.senderKeyDistributionMessage) {
+      // Skip protocol/system messages
+      return null;
+    } else if (!msg.message) {
+      // Message decryption failed (Bad MAC error) - msg.message is null/undefined
+      // This happens when Signal protocol decryption fails
+      // The retry mechanism (msgRetryCounterCache + getMessage) should have already attempted retries
+      logger.warn('Message decryption failed - message object is empty:', {
+        messageId: msg.key?.id,
+        remoteJid: msg.key?.remoteJid,
+        isFromMe: !!msg.key?.fromMe,
+        subAccountId,
+        hint: 'This usually indicates Signal session issues. Message retry was attempted.'
+      });
+      // Skip this message - don't sync "[Message]" placeholder to GHL
+      // The message may arrive later if retry succeeds, or may be lost
+      return null;
+    } else {
+      // Log unrecognized message types for debugging
+      logger.warn('Unrecognized message type:', {
+        messageKeys: Object.keys(msg.message),
+        subAccountId
+      });
+      content = '[Message]';
+    }
+
+    return { messageType, content, mediaMessage, details };
+  }
+
+  // Apply an edit or revoke (from the contact, or from our number on another device) to the stored message
+  // The previous content is kept in metadata.editHistory; revoked messages keep their content and get revokedAt
+  async handleProtocolMessage(subAccountId, msg, protocolMessage) {
+    const type = protocolMessage.type;
+    if (type !== PROTOCOL_REVOKE && type !== PROTOCOL_MESSAGE_EDIT) return;
+
+    const targetId = protocolMessage.key?.id;
+    if (!targetId) return;
+
+    try {
+      const message = await Message.findOne({
+        where: { subAccountId, messageId: targetId }
+      });
+      if (!message) {
+        logger.info('Edit/revoke for unknown message:', { subAccountId, messageId: targetId, type });
+        return;
+      }
+
+      if (type === PROTOCOL_MESSAGE_EDIT) {
+        const edited = protocolMessage.editedMessage
+          ? await this.extractMessageContent(subAccountId, { key: msg.key, message: protocolMessage.editedMessage })
+          : null;
+        // Our own edits through the API are echoed back - already applied
+        if (!edited || edited.content === message.content) return;
+
+        await this.applyEdit(subAccountId, message, edited.content, msg.key.fromMe ? 'whatsapp_direct' : 'whatsapp');
+      } else {
+        if (message.revokedAt) return;
+        await this.applyRevoke(subAccountId, message, msg.key.fromMe ? 'whatsapp_direct' : 'whatsapp');
+      }
+    } catch (error) {
+      logger.error('Failed to apply edit/revoke:', { subAccountId, messageId: targetId, error: error.message });
+    }
+  }
+
+  // Record an edit on the stored message and fire message.edited
+  async applyEdit(subAccountId, message, newContent, source) {
+    const metadata = message.metadata || {};
+    const previousContent = message.content;
+    const editedAt = new Date();
+
+    await message.update({
+      content: newContent,
+      editedAt,
+      metadata: {
+        ...metadata,
+        editHistory: [
+          ...(metadata.editHistory || []),
+          { content: previousContent, replacedAt: editedAt.toISOString(), source }
+        ]
+      }
+    });
+
+    logger.info('Message edited:', { subAccountId, messageId: message.messageId, source });
+
+    await webhookService.trigger(subAccountId, 'message.edited', {
+      messageId: message.id,
+      whatsappMessageId: message.messageId,
+      direction: message.direction,
+      previousContent,
+      content: newContent,
+      editedAt: editedAt.toISOString(),
+      source
+    });
+
+    await this.syncChangeToGhl(subAccountId, message, `[Edited] ${newContent}`);
+  }
+
+  // Mark the stored message as deleted for everyone and fire message.deleted
+  async applyRevoke(subAccountId, message, source) {
+    const deletedAt = new Date();
+    await message.update({
+      revokedAt: deletedAt,
+      metadata: { ...(message.metadata || {}), deletedBy: source }
+    });
+
+    logger.info('Message deleted for everyone:', { subAccountId, messageId: message.messageId, source });
+
+    await webhookService.trigger(subAccountId, 'message.deleted', {
+      messageId: message.id,
+      whatsappMessageId: message.messageId,
+      direction: message.direction,
+      content: message.content,
+      deletedAt: deletedAt.toISOString(),
+      source
+    });
+
+    await this.syncChangeToGhl(subAccountId, message, `[Deleted for everyone] ${getSnippet(message.content)}`);
+  }
+
+  // GHL conversations can't be edited through the API - the change is added as a new entry
+  // in the contact's conversation instead, so agents don't keep working from the original text
+  async syncChangeToGhl(subAccountId, message, content) {
+    const subAccount = await SubAccount.findByPk(subAccountId);
+    if (!subAccount) return;
+
+    const metadata = message.metadata || {};
+    const inbound = message.direction === 'inbound';
+    let body = content;
+    if (message.groupJid) {
+      // Same rule as group message sync: only members' messages, into the sender's conversation
+      if (!inbound || !subAccount.syncGroupsToGhl) return;
+      body = `[${metadata.groupSubject || 'Group'}] ${content}`;
+    }
+
+    // Chats stored under a WhatsApp LID go to the phone number mapped to it since
+    let contactNumber = inbound ? message.fromNumber : message.toNumber;
+    const mapping = await WhatsAppMapping.findOne({ where: { subAccountId, whatsappId: contactNumber } });
+    if (mapping) contactNumber = mapping.phoneNumber;
+    const isLID = !mapping && !!(metadata.isLID || metadata.rawMessage?.key?.remoteJid?.endsWith('@lid'));
+    const ourNumber = subAccount.phoneNumber || '';
+
+    ghlService.syncMessageToGHL(
+      subAccount,
+      inbound ? contactNumber : ourNumber,
+      inbound ? ourNumber : contactNumber,
+      body,
+      message.direction,
+      inbound ? (metadata.rawMessage?.pushName || message.participantName || null) : null,
+      isLID,
+      []
+    ).catch(err => logger.error('GHL edit/delete sync error:', err));
+  }
+
+  // WhatsApp key of a stored message (needed to edit or delete it)
+  getMessageKey(message) {
+    const metadata = message.metadata || {};
+    if (metadata.key?.id) return metadata.key;
+    if (metadata.rawMessage?.key?.id) return metadata.rawMessage.key;
+
+    const chatNumber = message.direction === 'inbound' ? message.fromNumber : message.toNumber;
+    return {
+      remoteJid: message.groupJid || `${chatNumber}@s.whatsapp.net`,
+      id: message.messageId,
+      fromMe: message.direction === 'outbound',
+      ...(message.groupJid && message.participant && { participant: message.participant })
+    };
+  }
+
+  // Edit the text of a message we sent
+  async editMessage(subAccountId, message, newContent) {
+    const socket = connections.get(subAccountId);
+    if (!socket) {
+      throw new Error('Not connected. Please scan QR code first.');
+    }
+
+    const key = this.getMessageKey(message);
+    await socket.sendMessage(key.remoteJid, { text: newContent, edit: key });
+    await this.applyEdit(subAccountId, message, newContent, 'app');
+    return message;
+  }
+
+  // Delete a message we sent for everyone in the chat
+  async deleteMessage(subAccountId, message) {
+    const socket = connections.get(subAccountId);
+    if (!socket) {
+      throw new Error('Not connected. Please scan QR code first.');
+    }
+
+    const key = this.getMessageKey(message);
+    await socket.sendMessage(key.remoteJid, { delete: key });
+    await this.applyRevoke(subAccountId, message, 'app');
+    return message;
+  }
+
+  // Quoted message details for an incoming reply, from the replied-to message's contextInfo
+  // Returns { messageId, id, snippet, participant } or null when the message is not a reply
+  async extractQuote(subAccountId, msg) {
+    const contextInfo = Object.values(msg.message || {}).find(node => node?.contextInfo?.stanzaId)?.contextInfo;
+    if (!contextInfo) return null;
+
+    // Prefer our stored copy; fall back to the quoted content WhatsApp includes
+    const original = await Message.findOne({
+      where: { subAccountId, messageId: contextInfo.stanzaId },
+      attributes: ['id', 'content']
+    });
+    let snippet = original?.content || null;
+    if (!snippet && contextInfo.quotedMessage) {
+      const quotedContent = await this.extractMessageContent(subAccountId, {
+        key: { id: contextInfo.stanzaId, remoteJid: msg.key.remoteJid },
+        message: contextInfo.quotedMessage
+      });
+      snippet = quotedContent?.content || null;
+    }
+
+    return {
+      messageId: contextInfo.stanzaId,
+      id: original?.id || null,
+      snippet: getSnippet(snippet),
+      participant: contextInfo.participant || null
+    };
+  }
+
+  // Stored message to quote in a reply, looked up by our message ID or the WhatsApp message ID
+  // Returns { original, quoted } (quoted = WAMessage for Baileys' quoted option) or null
+  async findReplyTarget(subAccountId, replyTo) {
+    const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(replyTo);
+    const original = await Message.findOne({
+      where: { subAccountId, ...(isUuid ? { id: replyTo } : { messageId: replyTo }) }
+    });
+    if (!original?.messageId) return null;
+
+    const raw = original.metadata?.rawMessage;
+    if (raw?.key?.id && raw?.message) {
+      return { original, quoted: { key: raw.key, message: reviveMessageSecret(raw.message) } };
+    }
+
+    // Messages we sent ourselves have no raw copy - rebuild a minimal one from the row
+    return {
+      original,
+      quoted: {
+        key: this.getMessageKey(original),
+        message: { conversation: original.content || '' }
+      }
+    };
+  }
+
+  // Apply decrypted poll votes to the stored poll
+  // Each voter's latest vote replaces their previous one (an empty vote withdraws it)
+  async handlePollUpdate(subAccountId, key, pollUpdates) {
+    try {
+      const message = await Message.findOne({
+        where: { subAccountId, messageId: key.id, messageType: 'poll' }
+      });
+      if (!message?.metadata?.poll) {
+        logger.debug('Poll update for unknown poll:', { subAccountId, messageId: key.id });
+        return null;
+      }
+
+      const metadata = message.metadata;
+      const poll = metadata.poll;
+      // WhatsApp sends the SHA-256 of each selected option name
+      const optionsByHash = new Map(poll.options.map(name => [
+        crypto.createHash('sha256').update(Buffer.from(name)).digest('hex'),
+        name
+      ]));
+      const votes = { ...poll.votes };
+      const changed = [];
+
+      for (const update of pollUpdates) {
+        const voterKey = update.pollUpdateMessageKey;
+        const voter = voterKey?.fromMe ? 'me' : (voterKey?.participant || voterKey?.remoteJid || 'unknown');
+        const selectedOptions = (update.vote?.selectedOptions || [])
+          .map(hash => optionsByHash.get(Buffer.from(hash).toString('hex')))
+          .filter(Boolean);
+
+        if (selectedOptions.length) {
+          votes[voter] = selectedOptions;
+        } else {
+          delete votes[voter];
+        }
+        changed.push({ voter, selectedOptions });
+      }
+
+      const results = poll.options.map(name => ({
+        name,
+        votes: Object.values(votes).filter(selected => selected.includes(name)).length
+      }));
+
+      await message.update({
+        metadata: { ...metadata, poll: { ...poll, votes, results } }
+      });
+
+      await webhookService.trigger(subAccountId, 'poll.vote', {
+        messageId: message.id,
+        whatsappMessageId: key.id,
+        name: poll.name,
+        votes: changed,
+        results,
+        timestamp: new Date().toISOString()
+      });
+
+      return results;
+    } catch (error) {
+      logger.error('Failed to apply poll update:', { subAccountId, messageId: key?.id, error: error.message });
+      return null;
+    }
+  }
+
+  // Baileys message-receipt.update - per-participant receipts for group messages
+  // ({ key, receipt: { userJid, receiptTimestamp, readTimestamp, playedTimestamp } })
+  // The message moves on when the first participant gets it, reads it or plays it
+  async handleMessageReceiptUpdate(subAccountId, updates) {
+    for (const { key, receipt } of updates) {
+      const ackLevel = receipt?.playedTimestamp ? 5 : receipt?.readTimestamp ? 4 : receipt?.receiptTimestamp ? 3 : null;
+      if (ackLevel === null) continue;
+
+      try {
+        const participant = receipt.userJid
+          ? (await this.resolveParticipant(subAccountId, receipt.userJid)).number
+          : null;
+        await this.handleMessageStatusUpdate(subAccountId, key, ackLevel, participant);
+      } catch (error) {
+        logger.error(`Handle message receipt error for ${subAccountId}:`, error);
+      }
+    }
+  }
+
+  // Replay receipts buffered while the message was not stored yet
+  async applyEarlyReceipts(subAccountId, messageId) {
+    const key = `${subAccountId}:${messageId}`;
+    const receipts = earlyReceipts.get(key);
+    if (!receipts) return;
+
+    earlyReceipts.delete(key);
+    for (const { ackLevel, participant } of receipts) {
+      await this.handleMessageStatusUpdate(subAccountId, { id: messageId }, ackLevel, participant);
+    }
+  }
+
+  // Apply a WhatsApp ack (server ack, delivered, read, played) to the stored Message
+  // Keeps a timestamped history in metadata.statusHistory and fires a message.status webhook
+  // participant - phone number of the group member the receipt came from
+  async handleMessageStatusUpdate(subAccountId, key, ackLevel, participant = null) {
+    const ackStatus = ACK_STATUSES[ackLevel];
+    if (!ackStatus || !key?.id) return null;
+
+    try {
+      const message = await Message.findOne({
+        where: { subAccountId, messageId: key.id }
+      });
+      if (!message) {
+        // Kept briefly in case the message is still being stored
+        const bufferKey = `${subAccountId}:${key.id}`;
+        earlyReceipts.set(bufferKey, [...(earlyReceipts.get(bufferKey) || []), { ackLevel, participant }]);
+        logger.debug('Status update for unknown message, buffered:', { subAccountId, messageId: key.id, ack: ackStatus.ack });
+        return null;
+      }
+
+      const metadata = message.metadata || {};
+      const statusHistory = metadata.statusHistory || [];
+
+      // Same ack delivered twice (e.g. after reconnect) - nothing changed
+      if (statusHistory.some(entry => entry.ack === ackStatus.ack)) {
+        return null;
+      }
+
+      const currentRank = STATUS_RANK[message.status] ?? 0;
+      const isForward = ackStatus.status === 'failed'
+        ? currentRank < STATUS_RANK.delivered
+        : STATUS_RANK[ackStatus.status] >= currentRank;
+      const previousStatus = message.status;
+      const newStatus = isForward ? ackStatus.status : previousStatus;
+      const at = new Date().toISOString();
+
+      await message.update({
+        status: newStatus,
+        errorMessage: ackStatus.status === 'failed' ? 'WhatsApp reported a delivery error' : message.errorMessage,
+        metadata: {
+          ...metadata,
+          statusHistory: [...statusHistory, { ack: ackStatus.ack, status: ackStatus.status, at, ...(participant && { participant }) }]
+        }
+      });
+
+      logger.info('Message status updated:', {
+        subAccountId,
+        messageId: key.id,
+        ack: ackStatus.ack,
+        status: newStatus
+      });
+
+      await webhookService.trigger(subAccountId, 'message.status', {
+        messageId: message.id,
+        whatsappMessageId: key.id,
+        direction: message.direction,
+        to: message.toNumber,
+        status: newStatus,
+        ack: ackStatus.ack,
+        ...(participant && { participant }),
+        timestamp: at
+      });
+
+      // Let GHL know how the message it sent is doing (async, don't wait)
+      if (metadata.ghlMessageId && newStatus !== previousStatus && GHL_REPORTED_STATUSES.includes(newStatus)) {
+        const subAccount = await SubAccount.findByPk(subAccountId);
+        ghlService.updateMessageStatus(subAccount, metadata.ghlMessageId, newStatus, message.errorMessage)
+          .catch(err => logger.error('GHL status update error:', err));
+      }
+
+      return message;
+    } catch (error) {
+      logger.error(`Handle message status update error for ${subAccountId}:`, error);
+      return null;
+    }
+  }
+
+  // Download media from a Baileys message and save it in the media store
+  // Returns { url, fileName, mimetype, size } or null if skipped/failed
+  async downloadMedia(subAccountId, msg, mediaMessage) {
+    if (!downloadMediaMessage) return null;
+
+    // fileLength may be a protobuf Long
+    const declaredSize = typeof mediaMessage.fileLength?.toNumber === 'function'
+      ? mediaMessage.fileLength.toNumber()
+      : Number(mediaMessage.fileLength || 0);
+
+    if (declaredSize > mediaStore.getMaxSize()) {
+      logger.warn('Skipping media download, file too large:', {
+        subAccountId,
+        messageId: msg.key?.id,
+        size: declaredSize
+      });
+      return null;
+    }
+
+    try {
+      const socket = connections.get(subAccountId);
+      const pino = require('pino');
+      const buffer = await downloadMediaMessage(msg, 'buffer', {}, {
+        logger: pino({ level: 'silent' }),
+        // Lets Baileys ask the sender's phone to re-upload expired media
+        reuploadRequest: socket?.updateMediaMessage
+      });
+
+      return await mediaStore.save(subAccountId, buffer, {
+        mimetype: mediaMessage.mimetype,
+        fileName: mediaMessage.fileName
+      });
+    } catch (error) {
+      logger.warn('Failed to download media:', {
+        subAccountId,
+        messageId: msg.key?.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // Audio mimetype from a file name or URL extension (null when unknown)
+  getAudioMimeType(source) {
+    if (!source) return null;
+    const ext = source.split('?')[0].split('.').pop().toLowerCase();
+    return AUDIO_MIMETYPES[ext] || null;
+  }
+
+  // Validate and normalise the structured part of a send request
+  // (location, contact and poll messages, voice-note flag for audio, replyTo for quoted replies,
+  // typing to show "typing..." before the message)
+  // Returns { payload } - null for plain text/media - or { error }
+  buildSendPayload(messageType, body = {}) {
+    const result = this.buildContentPayload(messageType, body);
+    if (result.error) return result;
+    let payload = result.payload;
+
+    if (body.replyTo !== undefined && body.replyTo !== null) {
+      if (typeof body.replyTo !== 'string' || !body.replyTo) {
+        return { error: 'replyTo must be a message ID' };
+      }
+      payload = { ...(payload || {}), replyTo: body.replyTo };
+    }
+
+    if (body.typing !== undefined && body.typing !== null) {
+      if (typeof body.typing !== 'boolean') {
+        return { error: 'typing must be a boolean' };
+      }
+      if (body.typing) payload = { ...(payload || {}), typing: true };
+    }
+
+    return { payload };
+  }
+
+  buildContentPayload(messageType, body) {
+    if (messageType === 'location') {
+      const { latitude, longitude, name, address } = body.location || {};
+      const lat = Number(latitude);
+      const lng = Number(longitude);
+      if (latitude === undefined || longitude === undefined || !Number.isFinite(lat) || !Number.isFinite(lng) ||
+          lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return { error: 'location.latitude (-90 to 90) and location.longitude (-180 to 180) are required' };
+      }
+      return { payload: { location: { latitude: lat, longitude: lng, name: name || null, address: address || null } } };
+    }
+
+    if (messageType === 'contact') {
+      const contacts = Array.isArray(body.contacts) ? body.contacts : (body.contact ? [body.contact] : []);
+      if (contacts.length === 0 || contacts.length > 10) {
+        return { error: 'contact (object) or contacts (array of 1-10) is required' };
+      }
+
+      const normalized = [];
+      for (const contact of contacts) {
+        if (!contact?.fullName || typeof contact.fullName !== 'string') {
+          return { error: 'Each contact requires a fullName' };
+        }
+        const phones = (contact.phones || []).map(phone => (typeof phone === 'string' ? { number: phone } : phone));
+        if (phones.length === 0 || phones.some(phone => !/^\+?[\d\s().-]{7,20}$/.test(phone?.number || ''))) {
+          return { error: `Contact "${contact.fullName}" requires at least one valid phone number` };
+        }
+        const emails = (contact.emails || []).map(email => (typeof email === 'string' ? { address: email } : email));
+        if (emails.some(email => !email?.address)) {
+          return { error: `Contact "${contact.fullName}" has an invalid email` };
+        }
+        normalized.push({
+          fullName: contact.fullName,
+          phones: phones.map(phone => ({ number: phone.number, type: phone.type || null })),
+          emails: emails.map(email => ({ address: email.address, type: email.type || null })),
+          organization: contact.organization || null,
+          title: contact.title || null,
+          urls: Array.isArray(contact.urls) ? contact.urls : []
+        });
+      }
+      return { payload: { contacts: normalized } };
+    }
+
+    if (messageType === 'poll') {
+      const { name, options, selectableCount = 1 } = body.poll || {};
+      if (!name || typeof name !== 'string') {
+        return { error: 'poll.name is required' };
+      }
+      if (!Array.isArray(options) || options.length < 2 || options.length > 12 ||
+          options.some(option => typeof option !== 'string' || !option.trim())) {
+        return { error: 'poll.options must be an array of 2-12 non-empty strings' };
+      }
+      const trimmed = options.map(option => option.trim());
+      if (new Set(trimmed).size !== trimmed.length) {
+        return { error: 'poll.options must be unique' };
+      }
+      if (!Number.isInteger(selectableCount) || selectableCount < 0 || selectableCount > trimmed.length) {
+        return { error: 'poll.selectableCount must be between 0 (any number) and the number of options' };
+      }
+      return { payload: { poll: { name, options: trimmed, selectableCount } } };
+    }
+
+    if (messageType === 'audio' && (body.ptt !== undefined || body.mimetype)) {
+      if (body.ptt !== undefined && typeof body.ptt !== 'boolean') {
+        return { error: 'ptt must be a boolean' };
+      }
+      const mimetype = body.mimetype || this.getAudioMimeType(body.fileName || body.mediaUrl);
+      if (body.ptt && !mimetype?.startsWith('audio/ogg')) {
+        return { error: 'Voice notes (ptt) must be OGG/Opus audio (.ogg/.opus file or mimetype audio/ogg)' };
+      }
+      return { payload: { ptt: !!body.ptt, mimetype: body.ptt ? PTT_MIMETYPE : mimetype } };
+    }
+
+    return { payload: null };
+  }
+
+  // Readable content and metadata details for a sent message, matching extractMessageContent
+  describeSentPayload(messageType, content, payload) {
+    if (messageType === 'location' && payload?.location) {
+      const location = {
+        ...payload.location,
+        url: null,
+        isLive: false,
+        mapsUrl: getMapsUrl(payload.location.latitude, payload.location.longitude)
+      };
+      return { content: formatLocationContent(location), details: { location } };
+    }
+    if (messageType === 'contact' && payload?.contacts) {
+      const contacts = payload.contacts.map(contact => ({ displayName: contact.fullName, ...contact }));
+      return { content: formatContactsContent(contacts), details: { contacts } };
+    }
+    if (messageType === 'poll' && payload?.poll) {
+      const { name, options, selectableCount } = payload.poll;
+      return {
+        content: formatPollContent(name, options),
+        details: {
+          poll: { name, options, selectableCount, votes: {}, results: options.map(option => ({ name: option, votes: 0 })) }
+        }
+      };
+    }
+    if (messageType === 'audio' && payload?.ptt) {
+      return { content: content || '[Voice message]', details: { ptt: true } };
+    }
+    return { content, details: {} };
+  }
+
+  // Send message (text, media, location, contact or poll)
+  // options.ghlMessageId - GHL message this send belongs to (for delivery status reporting)
+  // options.payload - structured content from buildSendPayload (location/contacts/poll/ptt)
+  async sendMessage(subAccountId, toNumber, content, messageType = 'text', mediaUrl = null, fileName = null, options = {}) {
     let subAccount = null;
 
     try {
@@ -766,6 +2120,9 @@ class WhatsAppService {
         throw new Error('Sub-account is not connected');
       }
 
+      // Group JIDs (xxx@g.us) are sent to as-is, with no number lookup or mapping
+      const isGroup = toNumber.endsWith('@g.us');
+
       // Clean the phone number
       const cleanPhone = toNumber.replace(/\D/g, '');
 
@@ -774,58 +2131,72 @@ class WhatsAppService {
       let jid = toNumber.includes('@') ? toNumber : `${cleanPhone}@s.whatsapp.net`;
       let whatsappId = null;
 
-      try {
-        const [result] = await socket.onWhatsApp(cleanPhone);
-        if (result?.exists) {
-          jid = result.jid;
-          // Extract the WhatsApp ID (could be LID or phone)
-          whatsappId = result.jid.split('@')[0];
-          logger.info('onWhatsApp query result:', {
-            phone: cleanPhone,
-            exists: result.exists,
-            jid: result.jid,
-            whatsappId
-          });
-
-          // Store the mapping immediately (phone → whatsappId)
-          // This ensures we have the mapping BEFORE the message is sent
-          if (whatsappId && whatsappId !== cleanPhone) {
-            // WhatsApp returned a different ID (likely a LID)
-            await WhatsAppMapping.upsert({
-              subAccountId,
-              phoneNumber: cleanPhone,
-              whatsappId: whatsappId,
-              lastActivityAt: new Date()
-            }, {
-              conflictFields: ['subAccountId', 'phoneNumber']
-            });
-            logger.info('Stored LID mapping from onWhatsApp:', {
-              phoneNumber: cleanPhone,
+      if (!isGroup) {
+        try {
+          const [result] = await socket.onWhatsApp(cleanPhone);
+          if (result?.exists) {
+            jid = result.jid;
+            // Extract the WhatsApp ID (could be LID or phone)
+            whatsappId = result.jid.split('@')[0];
+            logger.info('onWhatsApp query result:', {
+              phone: cleanPhone,
+              exists: result.exists,
+              jid: result.jid,
               whatsappId
             });
+
+            // Store the mapping immediately (phone → whatsappId)
+            // This ensures we have the mapping BEFORE the message is sent
+            if (whatsappId && whatsappId !== cleanPhone) {
+              // WhatsApp returned a different ID (likely a LID)
+              await WhatsAppMapping.upsert({
+                subAccountId,
+                phoneNumber: cleanPhone,
+                whatsappId: whatsappId,
+                lastActivityAt: new Date()
+              }, {
+                conflictFields: ['subAccountId', 'phoneNumber']
+              });
+              logger.info('Stored LID mapping from onWhatsApp:', {
+                phoneNumber: cleanPhone,
+                whatsappId
+              });
+            }
+          } else {
+            logger.warn('Phone number not found on WhatsApp:', { phone: cleanPhone });
           }
-        } else {
-          logger.warn('Phone number not found on WhatsApp:', { phone: cleanPhone });
+        } catch (onWhatsAppErr) {
+          // onWhatsApp might fail - continue with default JID
+          logger.warn('onWhatsApp query failed, using default JID:', {
+            phone: cleanPhone,
+            error: onWhatsAppErr.message
+          });
         }
-      } catch (onWhatsAppErr) {
-        // onWhatsApp might fail - continue with default JID
-        logger.warn('onWhatsApp query failed, using default JID:', {
-          phone: cleanPhone,
-          error: onWhatsAppErr.message
-        });
       }
 
       // Mark this phone as pending send BEFORE socket.sendMessage
       // so messages.upsert handler knows this is from our app (not another device)
-      const pendingKey = `${subAccountId}:${cleanPhone}`;
+      const pendingKey = `${subAccountId}:${isGroup ? jid : cleanPhone}`;
       pendingSends.set(pendingKey, Date.now());
-      setTimeout(() => pendingSends.delete(pendingKey), PENDING_SEND_TTL_MS);
       // Also mark the WhatsApp ID (LID) if different from phone number
       // messages.upsert may receive the message with LID JID instead of phone JID
       if (whatsappId && whatsappId !== cleanPhone) {
         const pendingKeyLID = `${subAccountId}:${whatsappId}`;
         pendingSends.set(pendingKeyLID, Date.now());
-        setTimeout(() => pendingSends.delete(pendingKeyLID), PENDING_SEND_TTL_MS);
+      }
+
+      // Quoted reply to a stored message (payload.replyTo is our message ID or the WhatsApp message ID)
+      let quote = null;
+      if (options.payload?.replyTo) {
+        quote = await this.findReplyTarget(subAccountId, options.payload.replyTo);
+        if (!quote) {
+          throw new Error('Reply target message not found');
+        }
+      }
+      const sendOptions = quote ? { quoted: quote.quoted } : undefined;
+
+      if (options.payload?.typing) {
+        await this.simulateTyping(subAccountId, socket, jid, messageType, content, options.payload);
       }
 
       let sentMessage;
@@ -834,7 +2205,7 @@ class WhatsAppService {
         if (!content) {
           throw new Error('Text message content is required');
         }
-        sentMessage = await socket.sendMessage(jid, { text: content });
+        sentMessage = await socket.sendMessage(jid, { text: content }, sendOptions);
       } else if (messageType === 'image') {
         // Send image - prefer URL, fallback to base64
         if (!mediaUrl && !content) {
@@ -845,7 +2216,7 @@ class WhatsAppService {
           caption: fileName || ''
         };
         logger.info('Sending image message:', { hasUrl: !!mediaUrl, hasContent: !!content, caption: fileName });
-        sentMessage = await socket.sendMessage(jid, imageMessage);
+        sentMessage = await socket.sendMessage(jid, imageMessage, sendOptions);
       } else if (messageType === 'document') {
         // Send document (PDF, etc) - prefer URL
         if (!mediaUrl && !content) {
@@ -857,18 +2228,20 @@ class WhatsAppService {
           fileName: fileName || 'document.pdf'
         };
         logger.info('Sending document message:', { hasUrl: !!mediaUrl, hasContent: !!content, fileName });
-        sentMessage = await socket.sendMessage(jid, documentMessage);
+        sentMessage = await socket.sendMessage(jid, documentMessage, sendOptions);
       } else if (messageType === 'audio') {
         // Send audio - prefer URL
         if (!mediaUrl && !content) {
           throw new Error('Audio URL or content is required');
         }
+        const ptt = !!options.payload?.ptt;
         const audioMessage = {
           audio: mediaUrl ? { url: mediaUrl } : Buffer.from(content, 'base64'),
-          mimetype: 'audio/mpeg'
+          mimetype: ptt ? PTT_MIMETYPE : (options.payload?.mimetype || this.getAudioMimeType(fileName || mediaUrl) || 'audio/mpeg'),
+          ...(ptt && { ptt: true })
         };
-        logger.info('Sending audio message:', { hasUrl: !!mediaUrl, hasContent: !!content });
-        sentMessage = await socket.sendMessage(jid, audioMessage);
+        logger.info('Sending audio message:', { hasUrl: !!mediaUrl, hasContent: !!content, mimetype: audioMessage.mimetype, ptt });
+        sentMessage = await socket.sendMessage(jid, audioMessage, sendOptions);
       } else if (messageType === 'video') {
         // Send video - prefer URL
         if (!mediaUrl && !content) {
@@ -879,35 +2252,87 @@ class WhatsAppService {
           caption: fileName || ''
         };
         logger.info('Sending video message:', { hasUrl: !!mediaUrl, hasContent: !!content, caption: fileName });
-        sentMessage = await socket.sendMessage(jid, videoMessage);
+        sentMessage = await socket.sendMessage(jid, videoMessage, sendOptions);
+      } else if (messageType === 'location') {
+        const location = options.payload?.location;
+        if (!location) {
+          throw new Error('Location is required');
+        }
+        sentMessage = await socket.sendMessage(jid, {
+          location: {
+            degreesLatitude: location.latitude,
+            degreesLongitude: location.longitude,
+            ...(location.name && { name: location.name }),
+            ...(location.address && { address: location.address })
+          }
+        }, sendOptions);
+      } else if (messageType === 'contact') {
+        const contacts = options.payload?.contacts;
+        if (!contacts?.length) {
+          throw new Error('At least one contact is required');
+        }
+        sentMessage = await socket.sendMessage(jid, {
+          contacts: {
+            displayName: contacts.length === 1 ? contacts[0].fullName : `${contacts.length} contacts`,
+            contacts: contacts.map(contact => ({ displayName: contact.fullName, vcard: buildVCard(contact) }))
+          }
+        }, sendOptions);
+      } else if (messageType === 'poll') {
+        const poll = options.payload?.poll;
+        if (!poll) {
+          throw new Error('Poll is required');
+        }
+        sentMessage = await socket.sendMessage(jid, {
+          poll: { name: poll.name, values: poll.options, selectableCount: poll.selectableCount }
+        }, sendOptions);
       } else {
         throw new Error(`Unsupported message type: ${messageType}`);
       }
 
+      // Structured messages are stored with the same readable content and metadata as inbound ones
+      const { content: storedContent, details } = this.describeSentPayload(messageType, content, options.payload);
+
       // Store outgoing message for getMessage retry callback
       if (sentMessage) {
         storeMessage(subAccountId, sentMessage);
       }
 
+      // Count towards the sub-account's hourly/daily send caps
+      messageQueue.recordSend(subAccountId).catch(err => {
+        logger.warn('Failed to record send for caps:', err.message);
+      });
+
       // Store message (mark source: 'app' so messages.upsert can detect app-originated sends)
       const message = await Message.create({
         subAccountId,
         messageId: sentMessage?.key?.id,
         direction: 'outbound',
         fromNumber: subAccount.phoneNumber || '',
-        toNumber: toNumber.replace(/\D/g, ''),
+        toNumber: isGroup ? jid : cleanPhone,
+        groupJid: isGroup ? jid : null,
+        quotedMessageId: quote?.original.messageId || null,
+        quotedSnippet: quote ? getSnippet(quote.original.content) : null,
         messageType,
-        content,
+        content: storedContent,
         status: 'sent',
-        metadata: { source: 'app' }
+        metadata: {
+          source: 'app',
+          // Key of the sent message, needed to edit or delete it later
+          ...(sentMessage?.key && { key: sentMessage.key }),
+          ...(options.ghlMessageId && { ghlMessageId: options.ghlMessageId }),
+          ...details,
+          // Poll votes are decrypted with the poll's messageSecret (see getMessage)
+          ...(messageType === 'poll' && sentMessage && { rawMessage: sentMessage })
+        }
       });
+      if (message.messageId) await this.applyEarlyReceipts(subAccountId, message.messageId);
 
       logger.info(`Sent message from ${subAccountId} to ${toNumber}`);
 
       // If onWhatsApp didn't return a LID (returned phone-based JID or failed),
       // ensure mapping exists for auto-match when LID response comes
       // BUT don't overwrite an existing valid whatsappId mapping!
-      if (!whatsappId || whatsappId === cleanPhone) {
+      if (!isGroup && (!whatsappId || whatsappId === cleanPhone)) {
         try {
           // First check if a valid mapping already exists
           const existingMapping = await WhatsAppMapping.findOne({
@@ -945,7 +2370,15 @@ class WhatsAppService {
         messageId: message.id,
         to: toNumber,
         type: messageType,
-        content,
+        content: storedContent,
+        ...details,
+        ...(quote && {
+          quoted: {
+            messageId: quote.original.messageId,
+            id: quote.original.id,
+            snippet: getSnippet(quote.original.content)
+          }
+        }),
         timestamp: new Date().toISOString()
       });
 
@@ -984,6 +2417,32 @@ class WhatsAppService {
     }
   }
 
+  // Show "typing..." (or "recording audio..." for voice notes) to the recipient for a while
+  // before a send - longer texts take longer to type. Failures never block the send
+  async simulateTyping(subAccountId, socket, jid, messageType, content, payload) {
+    const text = messageType === 'text' ? content : (payload?.poll?.name || '');
+    const durationMs = Math.min(TYPING_MAX_MS, Math.max(TYPING_MIN_MS, (text || '').length * TYPING_MS_PER_CHAR));
+    const presence = payload?.ptt ? 'recording' : 'composing';
+
+    try {
+      await socket.presenceSubscribe(jid);
+      await socket.sendPresenceUpdate(presence, jid);
+      await new Promise(resolve => setTimeout(resolve, durationMs));
+      await socket.sendPresenceUpdate('paused', jid);
+    } catch (error) {
+      logger.warn('Typing indicator failed:', { subAccountId, jid, error: error.message });
+    }
+  }
+
+  // Ask WhatsApp for presence updates (online, typing, last seen) of a contact
+  async subscribePresence(subAccountId, phoneNumber) {
+    const socket = connections.get(subAccountId);
+    if (!socket?.user) {
+      throw new Error('Not connected. Please scan QR code first.');
+    }
+    await socket.presenceSubscribe(`${phoneNumber}@s.whatsapp.net`);
+  }
+
   // Get QR code
   getQRCode(subAccountId) {
     const qrData = qrCodes.get(subAccountId);
@@ -999,10 +2458,13 @@ class WhatsAppService {
 
     const socket = connections.get(subAccountId);
     const qrData = qrCodes.get(subAccountId);  // Now stores { qrCode, timestamp }
+    const pairingData = pairingCodes.get(subAccountId);
+    // Socket (and QR) live on another instance - the database status is the best we know here
+    const ownedElsewhere = !sessionOwnership.isOwnedLocally(subAccountId) && !!(await sessionOwnership.getOwner(subAccountId));
 
     // Handle stale status after server restart
     // If DB shows qr_ready or connecting but no socket/qr in memory, reset to disconnected
-    if ((subAccount.status === 'qr_ready' || subAccount.status === 'connecting') && !socket && !qrData) {
+    if ((subAccount.status === 'qr_ready' || subAccount.status === 'connecting') && !socket && !qrData && !pairingData && !ownedElsewhere) {
       logger.info(`Resetting stale status for ${subAccountId}: ${subAccount.status} -> disconnected`);
       await subAccount.update({ status: 'disconnected' });
       return {
@@ -1012,6 +2474,7 @@ class WhatsAppService {
         hasQR: false,
         qrCode: null,
         qrTimestamp: null,
+        pairingCode: null,
         lastConnected: subAccount.lastConnected
       };
     }
@@ -1019,33 +2482,47 @@ class WhatsAppService {
     return {
       status: subAccount.status,
       phoneNumber: subAccount.phoneNumber,
-      isConnected: socket?.user ? true : false,
+      isConnected: socket?.user ? true : (ownedElsewhere && subAccount.status === 'connected'),
       hasQR: !!qrData,
       qrCode: qrData?.qrCode || null,
       qrTimestamp: qrData?.timestamp || null,  // Used by clients to detect QR changes
+      pairingCode: pairingData?.code || null,
+      pairingPhoneNumber: pairingData?.phoneNumber || null,
+      pairingCodeTimestamp: pairingData?.timestamp || null,
+      error: subAccount.status === 'error' ? subAccount.lastError : null,
+      errorMessage: subAccount.status === 'error' ? (DISCONNECT_MESSAGES[subAccount.lastError] || null) : null,
       lastConnected: subAccount.lastConnected
     };
   }
 
   // Disconnect
   async disconnect(subAccountId) {
+    this.resetReconnect(subAccountId);
+    pairingRequests.delete(subAccountId);
+    pairingCodes.delete(subAccountId);
+
     try {
       const socket = connections.get(subAccountId);
       if (socket) {
         await socket.logout();
         socket.end();
+      } else if (!sessionOwnership.isOwnedLocally(subAccountId)) {
+        // Socket runs on another instance - revoke its lease so it logs out and drops the socket
+        await sessionOwnership.revoke(subAccountId);
       }
 
       connections.delete(subAccountId);
       qrCodes.delete(subAccountId);
+      groupMetadataCache.deleteByPrefix(`${subAccountId}:`);
 
       const subAccount = await SubAccount.findByPk(subAccountId);
       if (subAccount) {
         await subAccount.update({ status: 'disconnected' });
       }
 
-      // Clear session files
+      // Clear stored session
       await this.clearSession(subAccountId);
+      await sessionOwnership.release(subAccountId);
 
       return { status: 'disconnected' };
     } catch (error) {
@@ -1054,38 +2531,232 @@ class WhatsAppService {
     }
   }
 
-  // Clear session files
-  async clearSession(subAccountId) {
-    const sessionDir = path.join(SESSION_PATH, subAccountId);
-    if (fs.existsSync(sessionDir)) {
-      fs.rmSync(sessionDir, { recursive: true, force: true });
+  // Drop the local socket without touching the stored session (lease lost to another instance)
+  // logout - also log the device out (session was disconnected from another instance)
+  async dropSession(subAccountId, { logout = false } = {}) {
+    this.resetReconnect(subAccountId);
+    pairingRequests.delete(subAccountId);
+    pairingCodes.delete(subAccountId);
+    const socket = connections.get(subAccountId);
+    connections.delete(subAccountId);
+    qrCodes.delete(subAccountId);
+    groupMetadataCache.deleteByPrefix(`${subAccountId}:`);
+    if (!socket) return;
+
+    try {
+      if (logout) {
+        await socket.logout();
+      }
+      socket.end();
+      logger.info(`Dropped local socket for ${subAccountId}${logout ? ' (logged out)' : ''}`);
+    } catch (error) {
+      logger.warn(`Failed to close socket for ${subAccountId}:`, error.message);
+    }
+  }
+
+  // Sockets running on this instance, with what the watchdog needs to judge their health
+  getLocalSessions() {
+    return [...connections.entries()].map(([subAccountId, socket]) => {
+      const activity = socketActivity.get(socket);
+      return {
+        subAccountId,
+        phoneNumber: socket.user?.id?.split(':')[0] || null,
+        isLinked: !!socket.user,
+        isWaitingForLink: qrCodes.has(subAccountId) || pairingCodes.has(subAccountId),
+        isSocketOpen: socket.ws?.isOpen !== false,
+        startedAt: activity?.startedAt || null,
+        lastEventAt: activity?.lastEventAt || null
+      };
+    });
+  }
+
+  // Whether a reconnect timer is waiting to fire
+  hasPendingReconnect(subAccountId) {
+    return !!reconnectState.get(subAccountId)?.timer;
+  }
+
+  // Keepalive round-trip (the same ping Baileys sends); returns the round-trip time in ms
+  async pingSocket(subAccountId) {
+    const socket = connections.get(subAccountId);
+    if (!socket) {
+      throw new Error('No socket');
+    }
+
+    const startedAt = Date.now();
+    let timer;
+    try {
+      await Promise.race([
+        socket.query({
+          tag: 'iq',
+          attrs: { id: socket.generateMessageTag(), to: '@s.whatsapp.net', type: 'get', xmlns: 'w:p' },
+          content: [{ tag: 'ping', attrs: {} }]
+        }),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('Keepalive timed out')), KEEPALIVE_TIMEOUT_MS);
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const activity = socketActivity.get(socket);
+    if (activity) activity.lastEventAt = Date.now();
+    return Date.now() - startedAt;
+  }
+
+  // Close a stuck socket and reconnect through the normal close handling (backoff, events, webhooks)
+  async forceReconnect(subAccountId, reason) {
+    const socket = connections.get(subAccountId);
+    if (!socket) {
+      await this.connect(subAccountId, { isReconnect: true });
+      return;
     }
+
+    logger.warn(`Forcing reconnect of ${subAccountId}: ${reason}`);
+    socket.end(new Boom(`Watchdog: ${reason}`, { statusCode: DisconnectReason.connectionLost }));
+
+    // A dead socket may never report the close - reconnect directly if the handler didn't run
+    setTimeout(() => {
+      if (connections.get(subAccountId) === socket) {
+        connections.delete(subAccountId);
+        this.connect(subAccountId, { isReconnect: true })
+          .catch(err => logger.error(`Watchdog reconnect failed for ${subAccountId}:`, err.message));
+      }
+    }, WATCHDOG_CLOSE_GRACE_MS);
+  }
+
+  // Clear stored session credentials and keys
+  async clearSession(subAccountId) {
+    await authState.clear(subAccountId);
   }
 
   // Restore sessions on server start
+  // Reconnect every active sub-account with linked credentials (whatever its last status was,
+  // except 'error', which waits for the customer), RESTORE_CONCURRENCY at a time
   async restoreSessions() {
+    const { Op } = require('sequelize');
+    restoreProgress = {
+      status: 'running',
+      startedAt: new Date(),
+      finishedAt: null,
+      total: 0,
+      restored: 0,
+      pending: 0,
+      ownedElsewhere: 0,
+      failed: 0,
+      failures: []
+    };
+
     try {
       // Ensure Baileys is loaded
       await initBaileys();
 
-      const subAccounts = await SubAccount.findAll({
-        where: { status: 'connected' }
+      const candidates = await SubAccount.findAll({
+        where: { isActive: true, status: { [Op.ne]: 'error' }, sessionData: { [Op.ne]: null } },
+        attributes: ['id', 'name', 'status', 'sessionData']
       });
 
-      logger.info(`Restoring ${subAccounts.length} sessions...`);
+      const subAccounts = [];
+      for (const subAccount of candidates) {
+        if (await authState.hasLinkedCredentials(subAccount)) {
+          subAccounts.push(subAccount);
+        }
+      }
 
-      for (const subAccount of subAccounts) {
-        const sessionDir = path.join(SESSION_PATH, subAccount.id);
-        if (fs.existsSync(sessionDir)) {
-          logger.info(`Restoring session for ${subAccount.id}`);
-          await this.connect(subAccount.id);
+      // Connect attempts that were cut off by the restart and have nothing to restore from
+      // Attempts whose lease another live instance holds (showing a QR or pairing code) are left alone
+      const connecting = await SubAccount.findAll({
+        where: {
+          status: { [Op.in]: ['connecting', 'qr_ready'] },
+          id: { [Op.notIn]: subAccounts.map(subAccount => subAccount.id) }
+        },
+        attributes: ['id']
+      });
+      const orphaned = [];
+      for (const { id } of connecting) {
+        const owner = await sessionOwnership.getOwner(id);
+        if (!connections.has(id) && (!owner || owner === sessionOwnership.getInstanceId())) {
+          orphaned.push(id);
         }
       }
+      if (orphaned.length) {
+        await SubAccount.update({ status: 'disconnected' }, { where: { id: { [Op.in]: orphaned } } });
+        logger.info(`Reset ${orphaned.length} interrupted connection attempt(s) to disconnected`);
+      }
+
+      restoreProgress.total = subAccounts.length;
+      logger.info(`Restoring ${subAccounts.length} sessions (${RESTORE_CONCURRENCY} at a time)...`);
+
+      let next = 0;
+      let nextStartAt = Date.now();
+      const worker = async () => {
+        while (next < subAccounts.length) {
+          const subAccount = subAccounts[next++];
+
+          // Stagger start times so logins don't hit WhatsApp (and the database) all at once
+          const wait = nextStartAt - Date.now();
+          nextStartAt = Math.max(nextStartAt, Date.now()) + RESTORE_STAGGER_MS;
+          if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+
+          await this.restoreSession(subAccount);
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(RESTORE_CONCURRENCY, subAccounts.length) }, worker));
+
+      logger.info(`Session restore finished: ${restoreProgress.restored} connected, ${restoreProgress.pending} still connecting, ${restoreProgress.ownedElsewhere} on other instances, ${restoreProgress.failed} failed`);
     } catch (error) {
       logger.error('Restore sessions error:', error);
+      restoreProgress.error = error.message;
+    } finally {
+      restoreProgress.status = 'completed';
+      restoreProgress.finishedAt = new Date();
     }
   }
 
+  // Connect one sub-account and wait (up to RESTORE_OPEN_TIMEOUT_MS) for it to log in
+  async restoreSession(subAccount) {
+    const subAccountId = subAccount.id;
+    logger.info(`Restoring session for ${subAccountId}`);
+
+    try {
+      const result = await this.connect(subAccountId);
+      // Sessions still leased by another running instance are left there
+      if (result?.status === 'owned_elsewhere') {
+        restoreProgress.ownedElsewhere++;
+        return;
+      }
+
+      const deadline = Date.now() + RESTORE_OPEN_TIMEOUT_MS;
+      let closedChecks = 0;
+      while (Date.now() < deadline) {
+        if (connections.get(subAccountId)?.user) {
+          restoreProgress.restored++;
+          return;
+        }
+        // Closed for good (logged out, replaced, bad session) - no socket and no reconnect coming
+        // Seen twice in a row, the close handler may still be scheduling a reconnect the first time
+        closedChecks = !connections.has(subAccountId) && !this.hasPendingReconnect(subAccountId) ? closedChecks + 1 : 0;
+        if (closedChecks >= 2) {
+          const current = await SubAccount.findByPk(subAccountId, { attributes: ['status', 'lastError'] });
+          throw new Error(current?.lastError || `Session closed (${current?.status || 'unknown'})`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+
+      // Still logging in or backing off - it carries on by itself, don't hold up the rest
+      restoreProgress.pending++;
+    } catch (error) {
+      logger.error(`Failed to restore session for ${subAccountId}:`, error.message);
+      restoreProgress.failed++;
+      restoreProgress.failures.push({ subAccountId, name: subAccount.name, error: error.message });
+    }
+  }
+
+  // Progress of the boot-time session restore on this instance (null before it starts)
+  getRestoreProgress() {
+    return restoreProgress;
+  }
+
   // Helper: Get MIME type from filename
   getMimeType(filename) {
     const ext = filename.split('.').pop().toLowerCase();
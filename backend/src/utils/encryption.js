@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// AES-256-GCM for data encrypted at rest (WhatsApp session credentials and keys)
+// Stored format: "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts)
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+let key = null;
+
+function getKey() {
+  if (!key) {
+    const secret = process.env.SESSION_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('SESSION_ENCRYPTION_KEY must be set to store WhatsApp sessions');
+    }
+    if (!process.env.SESSION_ENCRYPTION_KEY) {
+      logger.warn('SESSION_ENCRYPTION_KEY is not set - deriving the session encryption key from JWT_SECRET');
+    }
+    key = crypto.createHash('sha256').update(secret).digest();
+  }
+  return key;
+}
+
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function decrypt(payload) {
+  const [version, iv, tag, ciphertext] = payload.split(':');
+  if (version !== VERSION) {
+    throw new Error(`Unsupported encryption version: ${version}`);
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = { encrypt, decrypt };
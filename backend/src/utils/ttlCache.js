@@ -0,0 +1,129 @@
+// Size- and TTL-bounded in-memory cache (least recently used entries are evicted first)
+// Expired entries are dropped on read and by one shared sweep timer, instead of a timer per entry
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+const registry = new Set();
+let sweepTimer = null;
+
+function startSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    for (const cache of registry) cache.sweep();
+  }, SWEEP_INTERVAL_MS);
+  // Never keep the process alive just for the sweeper
+  sweepTimer.unref();
+}
+
+class TTLCache {
+  constructor({ name, maxSize, ttlMs }) {
+    this.name = name;
+    this.maxSize = maxSize;
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // key -> { value, expiresAt }, in least to most recently used order
+    this.counters = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+    registry.add(this);
+    startSweeper();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.counters.misses++;
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.counters.expirations++;
+      this.counters.misses++;
+      return undefined;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.counters.hits++;
+    return entry.value;
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  // ttlMs overrides the cache's default for this entry
+  set(key, value, ttlMs = this.ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.counters.evictions++;
+    }
+    return this;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  // Drop every entry of one owner, for caches keyed "ownerId:..."
+  deleteByPrefix(prefix) {
+    for (const key of this.entries.keys()) {
+      if (String(key).startsWith(prefix)) this.entries.delete(key);
+    }
+  }
+
+  // Baileys CacheStore interface (msgRetryCounterCache)
+  del(key) {
+    this.delete(key);
+  }
+
+  flushAll() {
+    this.clear();
+  }
+
+  // Drop every expired entry
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        this.counters.expirations++;
+      }
+    }
+  }
+
+  stats() {
+    return {
+      name: this.name,
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      ttlMs: this.ttlMs,
+      ...this.counters
+    };
+  }
+}
+
+// Entry counts and hit/eviction counters of every cache, with the process memory they live in
+function getCacheStats() {
+  const memory = process.memoryUsage();
+  return {
+    caches: [...registry].map(cache => cache.stats()),
+    memory: {
+      rss: memory.rss,
+      heapUsed: memory.heapUsed,
+      heapTotal: memory.heapTotal,
+      external: memory.external
+    }
+  };
+}
+
+module.exports = { TTLCache, getCacheStats };
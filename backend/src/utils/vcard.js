@@ -0,0 +1,139 @@
+// Minimal vCard (3.0/4.0) support for contact cards shared over WhatsApp
+
+// Undo vCard line folding (continuation lines start with a space or tab)
+function unfold(vcard) {
+  return vcard.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
+}
+
+function unescapeValue(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+// Split structured values (N, ORG, ADR) on unescaped semicolons
+function splitComponents(value) {
+  return value.split(/(?<!\\);/).map(unescapeValue);
+}
+
+// "TEL;type=CELL;waid=447700900123" -> { name: 'TEL', params: { type: ['CELL'], waid: ['447700900123'] } }
+function parseProperty(raw) {
+  const [rawName, ...rawParams] = raw.split(';');
+  // Drop group prefixes such as "item1.TEL"
+  const name = rawName.split('.').pop().toUpperCase();
+  const params = {};
+  for (const param of rawParams) {
+    const [key, value] = param.includes('=') ? param.split('=') : ['type', param];
+    const paramKey = key.toLowerCase();
+    params[paramKey] = [...(params[paramKey] || []), ...value.split(',').map(v => v.trim())];
+  }
+  return { name, params };
+}
+
+// Parse a vCard
+// Returns { fullName, name, phones, emails, organization, title, urls, addresses, birthday, note }
+function parseVCard(vcard) {
+  const card = {
+    fullName: null,
+    name: null,
+    phones: [],
+    emails: [],
+    organization: null,
+    title: null,
+    urls: [],
+    addresses: [],
+    birthday: null,
+    note: null
+  };
+  if (!vcard) return card;
+
+  for (const line of unfold(vcard).split('\n')) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const { name, params } = parseProperty(line.slice(0, separator));
+    const value = line.slice(separator + 1);
+    const types = (params.type || []).map(t => t.toLowerCase()).filter(t => t !== 'pref' && t !== 'internet');
+
+    switch (name) {
+      case 'FN':
+        card.fullName = unescapeValue(value);
+        break;
+      case 'N': {
+        // family; given; additional; prefix; suffix
+        const [family, given, additional, prefix, suffix] = splitComponents(value);
+        card.name = [prefix, given, additional, family, suffix].filter(Boolean).join(' ') || null;
+        break;
+      }
+      case 'TEL':
+        card.phones.push({
+          number: unescapeValue(value),
+          // WhatsApp adds the contact's WhatsApp ID as waid
+          waId: params.waid?.[0] || null,
+          type: types[0] || null
+        });
+        break;
+      case 'EMAIL':
+        card.emails.push({ address: unescapeValue(value), type: types[0] || null });
+        break;
+      case 'ORG':
+        card.organization = splitComponents(value).filter(Boolean).join(', ') || null;
+        break;
+      case 'TITLE':
+        card.title = unescapeValue(value);
+        break;
+      case 'URL':
+        card.urls.push(unescapeValue(value));
+        break;
+      case 'ADR':
+        card.addresses.push({
+          // PO box; extended; street; locality; region; postal code; country
+          address: splitComponents(value).filter(Boolean).join(', '),
+          type: types[0] || null
+        });
+        break;
+      case 'BDAY':
+        card.birthday = unescapeValue(value);
+        break;
+      case 'NOTE':
+        card.note = unescapeValue(value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return card;
+}
+
+function escapeValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+// Build a vCard 3.0 for sending
+// contact: { fullName, phones: [{ number, type }], emails: [{ address, type }], organization, title, urls }
+// Phones get a waid parameter so WhatsApp shows "Message" / "Add contact" buttons
+function buildVCard(contact) {
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeValue(contact.fullName)}`];
+
+  if (contact.organization) lines.push(`ORG:${escapeValue(contact.organization)}`);
+  if (contact.title) lines.push(`TITLE:${escapeValue(contact.title)}`);
+
+  for (const phone of contact.phones || []) {
+    const digits = phone.number.replace(/\D/g, '');
+    const type = (phone.type || 'cell').toUpperCase();
+    lines.push(`TEL;type=${type};waid=${digits}:+${digits}`);
+  }
+  for (const email of contact.emails || []) {
+    lines.push(`EMAIL;type=${(email.type || 'internet').toUpperCase()}:${escapeValue(email.address)}`);
+  }
+  for (const url of contact.urls || []) {
+    lines.push(`URL:${escapeValue(url)}`);
+  }
+
+  lines.push('END:VCARD');
+  return lines.join('\n');
+}
+
+module.exports = { parseVCard, buildVCard };
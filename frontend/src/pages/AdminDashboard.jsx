@@ -1,7 +1,7 @@
 import { useState, useEffect, useMemo } from 'react'
 import api from '../services/api'
 import toast from 'react-hot-toast'
-import { Users, Smartphone, MessageSquare, ToggleLeft, ToggleRight, ChevronDown, ChevronRight, Phone, MapPin, Crown, Gift, Search, Filter, Trash2, XCircle, PlayCircle, Pencil, X } from 'lucide-react'
+import { Users, Smartphone, MessageSquare, ToggleLeft, ToggleRight, ChevronDown, ChevronRight, Phone, MapPin, Crown, Gift, Search, Filter, Trash2, XCircle, PlayCircle, Pencil, X, RefreshCw, AlertCircle } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
 
 export default function AdminDashboard() {
@@ -12,6 +12,7 @@ export default function AdminDashboard() {
   const [loading, setLoading] = useState(true)
   const [activeTab, setActiveTab] = useState('customers')
   const [expandedCustomers, setExpandedCustomers] = useState({})
+  const [restore, setRestore] = useState(null)
 
   // Search and filter states
   const [searchQuery, setSearchQuery] = useState('')
@@ -25,8 +26,25 @@ export default function AdminDashboard() {
 
   useEffect(() => {
     fetchData()
+    fetchRestoreStatus()
   }, [])
 
+  // Keep polling while sessions are still being restored after a restart
+  useEffect(() => {
+    if (restore?.status !== 'running') return
+    const interval = setInterval(fetchRestoreStatus, 5000)
+    return () => clearInterval(interval)
+  }, [restore?.status])
+
+  const fetchRestoreStatus = async () => {
+    try {
+      const { data } = await api.get('/admin/restore-status')
+      setRestore(data.restore)
+    } catch (error) {
+      console.error('Failed to fetch session restore status:', error)
+    }
+  }
+
   const fetchData = async () => {
     try {
       const [statsRes, customersRes, subAccountsRes] = await Promise.all([
@@ -267,6 +285,31 @@ export default function AdminDashboard() {
         <p className="text-gray-600 mt-1">Manage customers and sub-accounts</p>
       </div>
 
+      {/* Session restore after a restart */}
+      {restore && (restore.status === 'running' || restore.failures?.length > 0) && (
+        <div className={`rounded-lg p-4 mb-6 ${restore.status === 'running' ? 'bg-blue-50 border border-blue-200' : 'bg-red-50 border border-red-200'}`}>
+          <div className="flex items-center gap-2">
+            {restore.status === 'running'
+              ? <RefreshCw className="text-blue-500 animate-spin" size={18} />
+              : <AlertCircle className="text-red-500" size={18} />}
+            <p className={`text-sm font-medium ${restore.status === 'running' ? 'text-blue-800' : 'text-red-800'}`}>
+              {restore.status === 'running'
+                ? `Restoring WhatsApp sessions: ${restore.restored + restore.pending + restore.ownedElsewhere + restore.failed} of ${restore.total}`
+                : `${restore.failures.length} WhatsApp session(s) could not be restored after the last restart`}
+            </p>
+          </div>
+          {restore.failures?.length > 0 && (
+            <ul className="mt-2 ml-7 space-y-1">
+              {restore.failures.map(failure => (
+                <li key={failure.subAccountId} className="text-sm text-red-700">
+                  <span className="font-medium">{failure.name || failure.subAccountId}</span>: {failure.error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* Stats */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
         <div className="bg-white rounded-lg shadow p-6">
@@ -584,6 +627,7 @@ export default function AdminDashboard() {
                                   <span className={`text-xs px-2 py-1 rounded ${
                                     subAccount.status === 'connected' ? 'bg-green-100 text-green-700' :
                                     subAccount.status === 'qr_ready' ? 'bg-yellow-100 text-yellow-700' :
+                                    subAccount.status === 'error' ? 'bg-red-100 text-red-700' :
                                     'bg-gray-100 text-gray-700'
                                   }`}>
                                     {subAccount.status}
@@ -694,6 +738,7 @@ export default function AdminDashboard() {
                       <span className={`text-xs px-2 py-1 rounded ${
                         account.status === 'connected' ? 'bg-green-100 text-green-700' :
                         account.status === 'qr_ready' ? 'bg-yellow-100 text-yellow-700' :
+                        account.status === 'error' ? 'bg-red-100 text-red-700' :
                         'bg-gray-100 text-gray-700'
                       }`}>
                         {account.status}
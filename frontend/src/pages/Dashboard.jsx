@@ -125,7 +125,8 @@ export default function Dashboard() {
                 <div className="flex items-center gap-3">
                   <div className={`w-3 h-3 rounded-full ${
                     account.status === 'connected' ? 'bg-green-500' :
-                    account.status === 'qr_ready' ? 'bg-yellow-500' : 'bg-gray-400'
+                    account.status === 'qr_ready' ? 'bg-yellow-500' :
+                    account.status === 'error' ? 'bg-red-500' : 'bg-gray-400'
                   }`} />
                   <div>
                     <p className="font-medium text-gray-900">{account.name}</p>
@@ -135,6 +136,7 @@ export default function Dashboard() {
                 <span className={`text-sm px-2 py-1 rounded ${
                   account.status === 'connected' ? 'bg-green-100 text-green-700' :
                   account.status === 'qr_ready' ? 'bg-yellow-100 text-yellow-700' :
+                  account.status === 'error' ? 'bg-red-100 text-red-700' :
                   'bg-gray-100 text-gray-700'
                 }`}>
                   {account.status}
@@ -2,7 +2,21 @@ import { useState, useEffect, useCallback } from 'react'
 import { useParams, useNavigate, useSearchParams } from 'react-router-dom'
 import api from '../services/api'
 import toast from 'react-hot-toast'
-import { ArrowLeft, RefreshCw, Wifi, WifiOff, Link, Unlink, CheckCircle, XCircle, CreditCard } from 'lucide-react'
+import { ArrowLeft, RefreshCw, Wifi, WifiOff, Link, Unlink, CheckCircle, XCircle, CreditCard, History } from 'lucide-react'
+
+// Connection history event types -> label and dot color
+const CONNECTION_EVENTS = {
+  qr_issued: { label: 'QR code issued', color: 'bg-yellow-400' },
+  pairing_code_issued: { label: 'Pairing code issued', color: 'bg-yellow-400' },
+  connected: { label: 'Connected', color: 'bg-green-500' },
+  disconnected: { label: 'Disconnected', color: 'bg-gray-400' },
+  reconnect_scheduled: { label: 'Reconnect attempt', color: 'bg-blue-400' },
+  reconnect_stopped: { label: 'Reconnecting stopped', color: 'bg-red-500' },
+  logged_out: { label: 'Logged out', color: 'bg-red-400' },
+  phone_conflict: { label: 'Number already connected elsewhere', color: 'bg-orange-500' },
+  watchdog_restart: { label: 'Stuck connection restarted', color: 'bg-purple-400' },
+  status_repaired: { label: 'Status corrected', color: 'bg-purple-400' }
+}
 
 export default function SubAccountDetail() {
   const { id } = useParams()
@@ -12,8 +26,11 @@ export default function SubAccountDetail() {
   const [status, setStatus] = useState(null)
   const [loading, setLoading] = useState(true)
   const [connecting, setConnecting] = useState(false)
+  const [pairingPhone, setPairingPhone] = useState('')
   const [ghlStatus, setGhlStatus] = useState({ connected: false, loading: true })
   const [connectingGhl, setConnectingGhl] = useState(false)
+  const [history, setHistory] = useState({ events: [], uptime: null })
+  const [historyDays, setHistoryDays] = useState(7)
 
   const fetchSubAccount = useCallback(async () => {
     try {
@@ -36,6 +53,15 @@ export default function SubAccountDetail() {
     }
   }, [id])
 
+  const fetchHistory = useCallback(async () => {
+    try {
+      const { data } = await api.get(`/whatsapp/${id}/connection-events`, { params: { days: historyDays } })
+      setHistory(data)
+    } catch (error) {
+      console.error('Failed to fetch connection history:', error)
+    }
+  }, [id, historyDays])
+
   const fetchGhlStatus = useCallback(async () => {
     try {
       const { data } = await api.get(`/ghl/status/${id}`)
@@ -71,6 +97,11 @@ export default function SubAccountDetail() {
     return () => clearInterval(interval)
   }, [fetchSubAccount, fetchStatus, fetchGhlStatus])
 
+  // Reload history when the window changes or the connection state does
+  useEffect(() => {
+    fetchHistory()
+  }, [fetchHistory, status?.status])
+
   const connectWhatsApp = async () => {
     setConnecting(true)
     try {
@@ -84,6 +115,25 @@ export default function SubAccountDetail() {
     }
   }
 
+  // Link by phone number instead of scanning (for clients on the phone that runs WhatsApp)
+  const connectWithPairingCode = async () => {
+    if (!pairingPhone.trim()) {
+      toast.error('Enter the WhatsApp number with country code')
+      return
+    }
+
+    setConnecting(true)
+    try {
+      const { data } = await api.post(`/whatsapp/${id}/connect`, { phoneNumber: pairingPhone })
+      toast.success(data.pairingCode ? 'Enter the pairing code in WhatsApp' : 'Generating pairing code...')
+      fetchStatus()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to get pairing code')
+    } finally {
+      setConnecting(false)
+    }
+  }
+
   const disconnectWhatsApp = async () => {
     if (!confirm('Are you sure you want to disconnect WhatsApp?')) return
 
@@ -154,7 +204,7 @@ export default function SubAccountDetail() {
             <div>
               <p className="font-medium">WhatsApp</p>
               <p className="text-sm text-gray-600">
-                {status?.status === 'connected' ? status?.phoneNumber || 'Connected' : 'Not connected'}
+                {status?.status === 'connected' ? status?.phoneNumber || 'Connected' : status?.status === 'error' ? 'Connection error' : 'Not connected'}
               </p>
             </div>
           </div>
@@ -305,6 +355,19 @@ export default function SubAccountDetail() {
               <p className="text-blue-600 font-medium mb-1">Connecting...</p>
               <p className="text-gray-500 text-sm">Please wait while we establish the connection</p>
             </div>
+          ) : status?.pairingCode ? (
+            <div className="text-center py-4">
+              <p className="text-gray-600 mb-2">Enter this code in WhatsApp</p>
+              <p className="text-sm text-gray-500 mb-4">Open WhatsApp → Settings → Linked Devices → Link a Device → Link with phone number instead</p>
+              <p className="inline-block font-mono text-3xl font-bold tracking-widest text-green-700 bg-green-50 rounded-lg px-6 py-4 mb-2">
+                {status.pairingCode}
+              </p>
+              <p className="text-xs text-gray-500 mb-4">For +{status.pairingPhoneNumber}</p>
+              <span className="inline-flex items-center gap-1 text-xs bg-yellow-100 text-yellow-700 px-2 py-1 rounded-full">
+                <RefreshCw className="animate-spin" size={12} />
+                Waiting for code...
+              </span>
+            </div>
           ) : status?.qrCode ? (
             <div className="text-center py-4">
               <p className="text-gray-600 mb-2">Scan this QR code with WhatsApp</p>
@@ -336,6 +399,9 @@ export default function SubAccountDetail() {
               <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
                 <WifiOff className="text-gray-400" size={32} />
               </div>
+              {status?.status === 'error' && (
+                <p className="text-red-600 text-sm mb-2">{status.errorMessage || 'Reconnecting stopped after repeated failures'}</p>
+              )}
               <p className="text-gray-600 mb-4">Connect your WhatsApp number - Scan the QR code with your WhatsApp</p>
               <button
                 onClick={connectWhatsApp}
@@ -345,6 +411,27 @@ export default function SubAccountDetail() {
                 {connecting ? 'Connecting...' : 'Connect WhatsApp'}
               </button>
 
+              {/* Pairing code alternative */}
+              <div className="mt-4 max-w-xs mx-auto">
+                <p className="text-xs text-gray-500 mb-2">Can't scan? Link with a pairing code instead:</p>
+                <div className="flex gap-2">
+                  <input
+                    type="tel"
+                    value={pairingPhone}
+                    onChange={(e) => setPairingPhone(e.target.value)}
+                    placeholder="e.g. 447700900123"
+                    className="flex-1 min-w-0 px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  />
+                  <button
+                    onClick={connectWithPairingCode}
+                    disabled={connecting}
+                    className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    Get code
+                  </button>
+                </div>
+              </div>
+
               {/* Embed link for GHL custom menu */}
               {subAccount?.ghlLocationId && (
                 <div className="mt-4 p-3 bg-gray-50 rounded-lg text-left">
@@ -370,6 +457,79 @@ export default function SubAccountDetail() {
         </div>
       </div>
 
+      {/* Connection History */}
+      <div className="mt-8 bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold flex items-center gap-2">
+            <History size={20} />
+            Connection History
+          </h2>
+          <div className="flex items-center gap-2">
+            <select
+              value={historyDays}
+              onChange={(e) => setHistoryDays(Number(e.target.value))}
+              className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value={1}>Last 24 hours</option>
+              <option value={7}>Last 7 days</option>
+              <option value={30}>Last 30 days</option>
+              <option value={90}>Last 90 days</option>
+            </select>
+            <button onClick={fetchHistory} className="p-2 text-gray-600 hover:text-gray-900">
+              <RefreshCw size={18} />
+            </button>
+          </div>
+        </div>
+
+        {history.uptime?.uptimePercent != null ? (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div className="p-4 bg-gray-50 rounded-lg">
+              <p className="text-sm text-gray-500">Uptime</p>
+              <p className={`text-2xl font-bold ${history.uptime.uptimePercent >= 99 ? 'text-green-600' : history.uptime.uptimePercent >= 90 ? 'text-yellow-600' : 'text-red-600'}`}>
+                {history.uptime.uptimePercent}%
+              </p>
+            </div>
+            <div className="p-4 bg-gray-50 rounded-lg">
+              <p className="text-sm text-gray-500">Disconnects</p>
+              <p className="text-2xl font-bold text-gray-900">{history.uptime.disconnects}</p>
+            </div>
+            <div className="p-4 bg-gray-50 rounded-lg">
+              <p className="text-sm text-gray-500">Tracked since</p>
+              <p className="text-sm font-medium text-gray-900 mt-2">{new Date(history.uptime.trackedSince).toLocaleString()}</p>
+            </div>
+          </div>
+        ) : (
+          <p className="text-gray-500 text-sm mb-4">No connection history for this period yet.</p>
+        )}
+
+        {history.events.length > 0 && (
+          <ul className="divide-y max-h-96 overflow-y-auto">
+            {history.events.map((event) => {
+              const config = CONNECTION_EVENTS[event.type] || { label: event.type, color: 'bg-gray-400' }
+              return (
+                <li key={event.id} className="py-3 flex items-start gap-3">
+                  <span className={`w-2.5 h-2.5 rounded-full mt-1.5 flex-shrink-0 ${config.color}`} />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      {config.label}
+                      {event.type === 'reconnect_scheduled' && event.metadata?.attempt && (
+                        <span className="text-gray-500 font-normal"> ({event.metadata.attempt}/{event.metadata.maxAttempts})</span>
+                      )}
+                    </p>
+                    {(event.reason || event.statusCode) && (
+                      <p className="text-xs text-gray-500">
+                        {event.reason}{event.statusCode ? ` - code ${event.statusCode}` : ''}
+                      </p>
+                    )}
+                  </div>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">{new Date(event.createdAt).toLocaleString()}</span>
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+
       {/* Instructions */}
       <div className="mt-8 bg-blue-50 border border-blue-200 rounded-lg p-6">
         <h3 className="font-semibold text-blue-900 mb-3">Setup Instructions</h3>
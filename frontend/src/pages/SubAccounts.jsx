@@ -420,6 +420,7 @@ export default function SubAccounts() {
                         account.status === 'connected' ? 'bg-green-100 text-green-700' :
                         account.status === 'qr_ready' ? 'bg-yellow-100 text-yellow-700' :
                         account.status === 'connecting' ? 'bg-blue-100 text-blue-700' :
+                        account.status === 'error' ? 'bg-red-100 text-red-700' :
                         'bg-gray-100 text-gray-700'
                       }`}>
                         {account.status}